@@ -12,7 +12,8 @@ export async function generateAuthUrl(conversationId, shopId) {
 
   // Generate authorization URL for the customer
   const clientId = process.env.SHOPIFY_API_KEY;
-  const scope = "customer-account-mcp-api:full";
+  // openid adds an ID token to the token response, which identifies the customer
+  const scope = "openid customer-account-mcp-api:full";
   const responseType = "code";
 
   // Use the actual app URL for redirect
@@ -50,6 +51,27 @@ export async function generateAuthUrl(conversationId, shopId) {
   };
 }
 
+/**
+ * Read the customer's ID from an OpenID Connect ID token.
+ * The token comes straight from the shop's token endpoint, so its signature isn't checked.
+ * @param {string} idToken - The ID token from the token response
+ * @returns {string|null} - The numeric customer ID, as the app proxy reports it, or null
+ */
+export function getCustomerIdFromIdToken(idToken) {
+  if (!idToken) return null;
+
+  try {
+    const payload = idToken.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const { sub } = JSON.parse(atob(payload));
+
+    // The subject may be a global ID such as gid://shopify/Customer/123
+    return sub ? String(sub).split("/").pop() : null;
+  } catch (error) {
+    console.error("Error reading ID token:", error);
+    return null;
+  }
+}
+
 /**
  * Get the base auth URL from the customer MCP API URL
  * @param {string} conversationId - The conversation ID to track the auth flow
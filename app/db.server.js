@@ -1,4 +1,5 @@
 import { PrismaClient } from "@prisma/client";
+import { encryptSecret, decryptSecret, isEncryptedSecret } from "./services/secrets.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -135,20 +136,31 @@ export async function getCustomerToken(conversationId) {
 }
 
 /**
- * Create or update a conversation in the database
+ * Create or update a conversation in the database.
+ * The shop and customer are only recorded while unset, so a conversation can't be moved to another shop or customer.
  * @param {string} conversationId - The conversation ID
+ * @param {string} [shop] - The shop domain the conversation belongs to
+ * @param {string} [customerId] - The customer's ID, from the app proxy or the customer's login
  * @returns {Promise<Object>} - The created or updated conversation
+ * @throws {Error} When the conversation already belongs to a different shop or customer
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(conversationId, shop, customerId) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
     });
 
     if (existingConversation) {
+      if ((shop && existingConversation.shop && existingConversation.shop !== shop) ||
+        (customerId && existingConversation.customerId && existingConversation.customerId !== customerId)) {
+        throw new Error(`Conversation ${conversationId} belongs to another shop or customer`);
+      }
+
       return await prisma.conversation.update({
         where: { id: conversationId },
         data: {
+          ...(shop && !existingConversation.shop ? { shop } : {}),
+          ...(customerId && !existingConversation.customerId ? { customerId } : {}),
           updatedAt: new Date()
         }
       });
@@ -156,7 +168,9 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shop,
+        customerId
       }
     });
   } catch (error) {
@@ -170,9 +184,16 @@ export async function createOrUpdateConversation(conversationId) {
  * @param {string} conversationId - The conversation ID
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
+ * @param {Object} [details] - Usage and status details for assistant messages
+ * @param {string} [details.model] - The model that generated the message
+ * @param {number} [details.inputTokens] - Input tokens billed for the message
+ * @param {number} [details.outputTokens] - Output tokens billed for the message
+ * @param {number} [details.cost] - Estimated cost in USD
+ * @param {boolean} [details.cancelled] - Whether the shopper stopped the response before it finished
+ * @param {Array<Object>} [details.images] - Images the shopper attached, each with id, mimeType and data
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, role, content, { model, inputTokens, outputTokens, cost, cancelled, images } = {}) {
   try {
     // Ensure the conversation exists
     await createOrUpdateConversation(conversationId);
@@ -182,7 +203,13 @@ export async function saveMessage(conversationId, role, content) {
       data: {
         conversationId,
         role,
-        content
+        content,
+        model,
+        inputTokens,
+        outputTokens,
+        cost,
+        cancelled,
+        ...(images?.length ? { images: { create: images } } : {})
       }
     });
   } catch (error) {
@@ -210,6 +237,141 @@ export async function getConversationHistory(conversationId) {
   }
 }
 
+/**
+ * Get the images attached to a conversation's messages
+ * @param {string} conversationId - The conversation ID
+ * @param {Array<string>} imageIds - The image IDs
+ * @returns {Promise<Array>} - Images with id, mimeType and data
+ */
+export async function getMessageImages(conversationId, imageIds) {
+  try {
+    return await prisma.messageImage.findMany({
+      where: {
+        id: { in: imageIds },
+        message: { conversationId }
+      },
+      select: { id: true, mimeType: true, data: true }
+    });
+  } catch (error) {
+    console.error('Error retrieving message images:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+export async function getConversation(conversationId) {
+  try {
+    return await prisma.conversation.findUnique({
+      where: { id: conversationId }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * List a customer's conversations with a shop, most recently active first
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The customer's ID
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit] - Most conversations to return
+ * @returns {Promise<Array>} - Conversations with id, timestamps and their first user message
+ */
+export async function listCustomerConversations(shop, customerId, { limit = 20 } = {}) {
+  try {
+    return await prisma.conversation.findMany({
+      where: { shop, customerId },
+      select: {
+        id: true,
+        createdAt: true,
+        updatedAt: true,
+        messages: {
+          where: { role: 'user' },
+          select: { content: true },
+          orderBy: { createdAt: 'asc' },
+          take: 1
+        }
+      },
+      orderBy: { updatedAt: 'desc' },
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error listing customer conversations:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the stored summary of a conversation's older messages
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The summary or null if the conversation has none
+ */
+export async function getConversationSummary(conversationId) {
+  try {
+    return await prisma.conversationSummary.findUnique({
+      where: { conversationId }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update the summary of a conversation's older messages
+ * @param {string} conversationId - The conversation ID
+ * @param {string} content - The summary text
+ * @param {Date} summarizedUntil - createdAt of the last message covered by the summary
+ * @returns {Promise<Object>} - The saved summary
+ */
+export async function saveConversationSummary(conversationId, content, summarizedUntil) {
+  try {
+    return await prisma.conversationSummary.upsert({
+      where: { conversationId },
+      create: {
+        conversationId,
+        content,
+        summarizedUntil
+      },
+      update: {
+        content,
+        summarizedUntil
+      }
+    });
+  } catch (error) {
+    console.error('Error saving conversation summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the token usage of a model call that summarized a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} usage - Usage with model, inputTokens, outputTokens and cost, as built by getMessageUsage
+ * @returns {Promise<Object>} - The saved usage record
+ */
+export async function saveSummaryUsage(conversationId, { model, inputTokens, outputTokens, cost }) {
+  try {
+    return await prisma.summaryUsage.create({
+      data: {
+        conversationId,
+        model,
+        inputTokens,
+        outputTokens,
+        cost
+      }
+    });
+  } catch (error) {
+    console.error('Error saving summary usage:', error);
+    throw error;
+  }
+}
+
 /**
  * Store customer account URLs for a conversation
  * @param {string} conversationId - The conversation ID
@@ -257,3 +419,494 @@ export async function getCustomerAccountUrls(conversationId) {
     return null;
   }
 }
+
+/**
+ * List all prompts authored by a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Array of prompts ordered by name
+ */
+export async function listPrompts(shop) {
+  try {
+    return await prisma.prompt.findMany({
+      where: { shop },
+      orderBy: { name: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a prompt by ID, including its version history
+ * @param {string} shop - The shop domain
+ * @param {string} promptId - The prompt ID
+ * @returns {Promise<Object|null>} - The prompt or null if not found
+ */
+export async function getPrompt(shop, promptId) {
+  try {
+    return await prisma.prompt.findFirst({
+      where: { id: promptId, shop },
+      include: {
+        versions: {
+          orderBy: { version: 'desc' }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving prompt:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a shop's prompt by its key (the prompt type used by the chat widget)
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @returns {Promise<Object|null>} - The prompt or null if not found
+ */
+export async function getPromptByKey(shop, key) {
+  try {
+    return await prisma.prompt.findUnique({
+      where: { shop_key: { shop, key } }
+    });
+  } catch (error) {
+    console.error('Error retrieving prompt by key:', error);
+    return null;
+  }
+}
+
+/**
+ * Create a prompt and record its first version
+ * @param {string} shop - The shop domain
+ * @param {Object} data - Prompt fields (key, name, description, content)
+ * @returns {Promise<Object>} - The created prompt
+ */
+export async function createPrompt(shop, { key, name, description, content }) {
+  try {
+    return await prisma.prompt.create({
+      data: {
+        shop,
+        key,
+        name,
+        description,
+        content,
+        version: 1,
+        versions: {
+          create: { version: 1, content }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error creating prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a prompt, recording a new version when its content changes
+ * @param {string} shop - The shop domain
+ * @param {string} promptId - The prompt ID
+ * @param {Object} data - Prompt fields (key, name, description, content)
+ * @returns {Promise<Object|null>} - The updated prompt or null if not found
+ */
+export async function updatePrompt(shop, promptId, { key, name, description, content }) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existingPrompt = await tx.prompt.findFirst({
+        where: { id: promptId, shop }
+      });
+
+      if (!existingPrompt) return null;
+
+      const contentChanged = content !== undefined && content !== existingPrompt.content;
+
+      // Incremented by the database, so concurrent saves get different version numbers
+      const prompt = await tx.prompt.update({
+        where: { id: promptId },
+        data: {
+          key,
+          name,
+          description,
+          content,
+          ...(contentChanged ? { version: { increment: 1 } } : {})
+        }
+      });
+
+      if (contentChanged) {
+        await tx.promptVersion.create({
+          data: { promptId, version: prompt.version, content }
+        });
+      }
+
+      return prompt;
+    });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore an earlier version of a prompt as a new version
+ * @param {string} shop - The shop domain
+ * @param {string} promptId - The prompt ID
+ * @param {number} version - The version number to restore
+ * @returns {Promise<Object|null>} - The updated prompt or null if not found
+ */
+export async function restorePromptVersion(shop, promptId, version) {
+  try {
+    const promptVersion = await prisma.promptVersion.findFirst({
+      where: {
+        version,
+        prompt: { id: promptId, shop }
+      }
+    });
+
+    if (!promptVersion) return null;
+
+    return await updatePrompt(shop, promptId, { content: promptVersion.content });
+  } catch (error) {
+    console.error('Error restoring prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a prompt and its version history
+ * @param {string} shop - The shop domain
+ * @param {string} promptId - The prompt ID
+ * @returns {Promise<number>} - Number of deleted prompts
+ */
+export async function deletePrompt(shop, promptId) {
+  try {
+    const { count } = await prisma.prompt.deleteMany({
+      where: { id: promptId, shop }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the settings record for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The shop settings or null if not found
+ */
+export async function getShopSettings(shop) {
+  try {
+    return await prisma.shopSettings.findUnique({
+      where: { shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update the settings record for a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} settings - The settings fields to store
+ * @returns {Promise<Object>} - The saved shop settings
+ */
+export async function saveShopSettings(shop, settings) {
+  try {
+    return await prisma.shopSettings.upsert({
+      where: { shop },
+      create: {
+        shop,
+        ...settings
+      },
+      update: settings
+    });
+  } catch (error) {
+    console.error('Error saving shop settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the usage data of a shop's model calls: assistant messages and conversation summaries
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Only include calls made at or after this date
+ * @returns {Promise<Array>} - Calls with model, token counts, cost and createdAt, oldest first; summaries have summary: true
+ */
+export async function getShopUsage(shop, since) {
+  const select = {
+    conversationId: true,
+    model: true,
+    inputTokens: true,
+    outputTokens: true,
+    cost: true,
+    createdAt: true
+  };
+
+  try {
+    const [messages, summaries] = await Promise.all([
+      prisma.message.findMany({
+        where: {
+          conversation: { shop },
+          createdAt: { gte: since },
+          OR: [
+            { inputTokens: { not: null } },
+            { outputTokens: { not: null } }
+          ]
+        },
+        select
+      }),
+      prisma.summaryUsage.findMany({
+        where: {
+          conversation: { shop },
+          createdAt: { gte: since }
+        },
+        select
+      })
+    ]);
+
+    return [...messages, ...summaries.map((row) => ({ ...row, summary: true }))]
+      .sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.error('Error retrieving shop usage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the total tokens used by a shop since a given date, including conversation summaries
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Only count model calls made at or after this date
+ * @returns {Promise<number>} - Sum of input and output tokens
+ */
+export async function getShopTokenUsageSince(shop, since) {
+  const query = {
+    where: {
+      conversation: { shop },
+      createdAt: { gte: since }
+    },
+    _sum: {
+      inputTokens: true,
+      outputTokens: true
+    }
+  };
+
+  try {
+    const totals = await Promise.all([
+      prisma.message.aggregate(query),
+      prisma.summaryUsage.aggregate(query)
+    ]);
+
+    return totals.reduce((sum, { _sum }) => sum + (_sum.inputTokens || 0) + (_sum.outputTokens || 0), 0);
+  } catch (error) {
+    console.error('Error retrieving shop token usage:', error);
+    return 0;
+  }
+}
+
+/**
+ * Decrypt the auth header value of a stored MCP server.
+ * A value stored before credentials were encrypted is encrypted in place.
+ * @param {Object} server - The MCP server as stored
+ * @returns {Object} - The MCP server with its auth header value decrypted, or cleared when it can't be
+ */
+function decryptMcpServer(server) {
+  const { authHeaderValue } = server;
+  if (!authHeaderValue) return server;
+
+  if (!isEncryptedSecret(authHeaderValue)) {
+    Promise.resolve()
+      .then(() => prisma.mcpServer.update({
+        where: { id: server.id },
+        data: { authHeaderValue: encryptSecret(authHeaderValue) }
+      }))
+      .catch((error) => console.error('Error encrypting MCP server auth header:', error));
+    return server;
+  }
+
+  try {
+    return { ...server, authHeaderValue: decryptSecret(authHeaderValue) };
+  } catch (error) {
+    console.error(`Error decrypting auth header of MCP server ${server.id}:`, error);
+    return { ...server, authHeaderValue: null };
+  }
+}
+
+/**
+ * List the third-party MCP servers configured for a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.enabledOnly] - Only return enabled servers
+ * @returns {Promise<Array>} - The shop's MCP servers, ordered by name
+ */
+export async function listMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: {
+        shop,
+        ...(enabledOnly ? { enabled: true } : {})
+      },
+      orderBy: { name: 'asc' }
+    });
+    return servers.map(decryptMcpServer);
+  } catch (error) {
+    console.error('Error listing MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a third-party MCP server by ID
+ * @param {string} shop - The shop domain
+ * @param {string} serverId - The MCP server ID
+ * @returns {Promise<Object|null>} - The MCP server or null if not found
+ */
+export async function getMcpServer(shop, serverId) {
+  try {
+    const server = await prisma.mcpServer.findFirst({
+      where: { id: serverId, shop }
+    });
+    return server && decryptMcpServer(server);
+  } catch (error) {
+    console.error('Error retrieving MCP server:', error);
+    return null;
+  }
+}
+
+/**
+ * Create a third-party MCP server for a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} data - Server fields (name, slug, url, authHeaderName, authHeaderValue, enabled)
+ * @returns {Promise<Object>} - The created MCP server
+ */
+export async function createMcpServer(shop, data) {
+  try {
+    return await prisma.mcpServer.create({
+      data: {
+        shop,
+        ...data,
+        authHeaderValue: encryptSecret(data.authHeaderValue)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a third-party MCP server
+ * @param {string} shop - The shop domain
+ * @param {string} serverId - The MCP server ID
+ * @param {Object} data - Server fields to change
+ * @returns {Promise<number>} - Number of updated servers
+ */
+export async function updateMcpServer(shop, serverId, data) {
+  try {
+    const { count } = await prisma.mcpServer.updateMany({
+      where: { id: serverId, shop },
+      data: 'authHeaderValue' in data
+        ? { ...data, authHeaderValue: encryptSecret(data.authHeaderValue) }
+        : data
+    });
+    return count;
+  } catch (error) {
+    console.error('Error updating MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a third-party MCP server
+ * @param {string} shop - The shop domain
+ * @param {string} serverId - The MCP server ID
+ * @returns {Promise<number>} - Number of deleted servers
+ */
+export async function deleteMcpServer(shop, serverId) {
+  try {
+    const { count } = await prisma.mcpServer.deleteMany({
+      where: { id: serverId, shop }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the tool policies configured for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The shop's tool policies, ordered by tool name
+ */
+export async function listToolPolicies(shop) {
+  try {
+    return await prisma.toolPolicy.findMany({
+      where: { shop },
+      orderBy: { toolName: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error listing tool policies:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the policy for one of a shop's tools
+ * @param {string} shop - The shop domain
+ * @param {string} toolName - The tool name as offered to the LLM
+ * @returns {Promise<Object|null>} - The tool policy or null if the tool has none
+ */
+export async function getToolPolicy(shop, toolName) {
+  try {
+    return await prisma.toolPolicy.findUnique({
+      where: { shop_toolName: { shop, toolName } }
+    });
+  } catch (error) {
+    console.error('Error retrieving tool policy:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update the policy for one of a shop's tools
+ * @param {string} shop - The shop domain
+ * @param {string} toolName - The tool name as offered to the LLM
+ * @param {Object} data - Policy fields (enabled, requiresConfirmation, descriptionOverride)
+ * @returns {Promise<Object>} - The saved tool policy
+ */
+export async function saveToolPolicy(shop, toolName, data) {
+  try {
+    return await prisma.toolPolicy.upsert({
+      where: { shop_toolName: { shop, toolName } },
+      update: data,
+      create: {
+        shop,
+        toolName,
+        ...data
+      }
+    });
+  } catch (error) {
+    console.error('Error saving tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the policy for one of a shop's tools, restoring the defaults
+ * @param {string} shop - The shop domain
+ * @param {string} toolName - The tool name as offered to the LLM
+ * @returns {Promise<number>} - Number of deleted policies
+ */
+export async function deleteToolPolicy(shop, toolName) {
+  try {
+    const { count } = await prisma.toolPolicy.deleteMany({
+      where: { shop, toolName }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error deleting tool policy:', error);
+    throw error;
+  }
+}
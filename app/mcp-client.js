@@ -1,9 +1,45 @@
+import { setTimeout as delay } from "node:timers/promises";
 import { generateAuthUrl } from "./auth.server";
 import { getCustomerToken } from "./db.server";
+import { getCachedTools, setCachedTools, invalidateCachedTools } from "./services/tool-cache.server";
+import { isCircuitOpen, recordSuccess, recordFailure } from "./services/circuit-breaker.server";
+import AppConfig from "./services/config.server";
+import { fetchPublicUrl, validatePublicUrl } from "./services/url-safety.server";
+
+// Latest MCP protocol revision this client implements; servers may negotiate an older one
+const MCP_PROTOCOL_VERSION = "2025-06-18";
+
+const MCP_CLIENT_INFO = {
+  name: "shop-chat-agent",
+  version: "1.0.0"
+};
+
+// Separates a third-party server's prefix from its tool names, e.g. loyalty__get_points
+export const TOOL_NAMESPACE_SEPARATOR = "__";
+
+// LLM providers accept tool names of up to 64 letters, digits, underscores and dashes
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Methods without side effects, which are safe to retry
+const RETRYABLE_METHODS = new Set(["initialize", "tools/list"]);
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
  * Manages connections to both customer and storefront MCP endpoints, and handles tool invocation.
+ *
+ * Each endpoint gets its own session: the client sends `initialize` and
+ * `notifications/initialized` before the first request, then carries the negotiated
+ * MCP-Protocol-Version and any Mcp-Session-Id on every request. Servers that don't
+ * support the handshake are used without a session.
+ *
+ * When created with a shop, tools/list results are cached per shop and endpoint, and
+ * dropped early when a server sends notifications/tools/list_changed.
+ *
+ * The shop's tool policies decide which tools are offered to the LLM and with which
+ * description; disabled tools are also refused when called.
+ *
+ * Every request has a timeout, idempotent requests are retried with exponential backoff,
+ * and endpoints that keep failing are skipped for a while by a per-endpoint circuit breaker.
  */
 class MCPClient {
   /**
@@ -12,11 +48,24 @@ class MCPClient {
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
    * @param {string} shopId - ID of the Shopify shop
+   * @param {string} [customerMcpEndpoint] - Customer MCP endpoint, derived from hostUrl when omitted
+   * @param {Object} [options] - Client options
+   * @param {AbortSignal} [options.signal] - Aborts in-flight MCP requests
+   * @param {string} [options.shop] - The shop domain; enables the shop's tool list cache
+   * @param {Array<Object>} [options.toolPolicies] - The shop's tool policies, applied by connect and callTool
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint, { signal, shop, toolPolicies = [] } = {}) {
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
+    // Tools from the shop's own MCP servers, by namespaced name
+    this.customServerTools = new Map();
+    // Third-party server URLs, requested only over connections to public addresses and without following redirects
+    this.customServerUrls = new Set();
+    // Merchant policies by tool name; tools without one are enabled and run without confirmation
+    this.toolPolicies = new Map(toolPolicies.map((policy) => [policy.toolName, policy]));
+    // Names of servers that couldn't be reached by connect, so the model can be told
+    this.unavailableServers = [];
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
@@ -25,6 +74,68 @@ class MCPClient {
     this.customerAccessToken = "";
     this.conversationId = conversationId;
     this.shopId = shopId;
+    this.shop = shop;
+    this.signal = signal;
+    this.nextRequestId = 1;
+    // Session state by endpoint URL, or the pending handshake while it runs
+    this.sessions = new Map();
+  }
+
+  /**
+   * Connects to the storefront, customer and given third-party MCP servers concurrently.
+   * A server that can't be reached is skipped so the others stay available.
+   * Disabled tools are left out and description overrides applied.
+   *
+   * @param {Array<Object>} [customServers] - The shop's enabled MCP server records
+   * @returns {Promise<Array>} Array of tools to offer to the LLM
+   */
+  async connect(customServers = []) {
+    this.unavailableServers = [];
+    const [storefront, customer, custom] = await Promise.allSettled([
+      this.connectToStorefrontServer(),
+      this.connectToCustomerServer(),
+      this.connectToCustomServers(customServers)
+    ]);
+
+    if (storefront.status === "rejected") {
+      console.warn("Failed to connect to storefront MCP server, continuing without its tools:", storefront.reason?.message);
+      if (isUnavailableError(storefront.reason)) this.unavailableServers.push("Storefront");
+    }
+    if (customer.status === "rejected") {
+      console.warn("Failed to connect to customer MCP server, continuing without its tools:", customer.reason?.message);
+      if (isUnavailableError(customer.reason)) this.unavailableServers.push("Customer account");
+    }
+
+    // The servers answer in any order, so keep the tool order stable for the model
+    const customTools = custom.status === "fulfilled" ? custom.value : [];
+    this.tools = [...this.storefrontTools, ...this.customerTools, ...customTools]
+      .filter((tool) => this.isToolEnabled(tool.name))
+      .map((tool) => {
+        const descriptionOverride = this.toolPolicies.get(tool.name)?.descriptionOverride;
+        return descriptionOverride ? { ...tool, description: descriptionOverride } : tool;
+      });
+
+    return this.tools;
+  }
+
+  /**
+   * Checks whether the shop allows a tool to be used.
+   *
+   * @param {string} toolName - Name of the tool as offered to the LLM
+   * @returns {boolean} False when the merchant has disabled the tool
+   */
+  isToolEnabled(toolName) {
+    return this.toolPolicies.get(toolName)?.enabled !== false;
+  }
+
+  /**
+   * Checks whether the shopper has to approve calls to a tool.
+   *
+   * @param {string} toolName - Name of the tool as offered to the LLM
+   * @returns {boolean} True when the merchant requires confirmation for the tool
+   */
+  requiresConfirmation(toolName) {
+    return this.toolPolicies.get(toolName)?.requiresConfirmation === true;
   }
 
   /**
@@ -55,15 +166,12 @@ class MCPClient {
         "Authorization": this.customerAccessToken || ""
       };
 
-      const response = await this._makeJsonRpcRequest(
+      // Signed-in customers may be offered tools that anonymous ones aren't
+      const toolsData = await this._listTools(
         this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
+        headers,
+        this.customerAccessToken ? "authenticated" : "anonymous"
       );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
       const customerTools = this._formatToolsData(toolsData);
 
       this.customerTools = customerTools;
@@ -90,15 +198,7 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.storefrontMcpEndpoint, headers);
       const storefrontTools = this._formatToolsData(toolsData);
 
       this.storefrontTools = storefrontTools;
@@ -111,21 +211,110 @@ class MCPClient {
     }
   }
 
+  /**
+   * Connects to the shop's third-party MCP servers and retrieves their tools.
+   * A server that can't be reached is skipped so the others stay available.
+   *
+   * @param {Array<Object>} servers - MCP server records with name, slug, url and optional auth header
+   * @returns {Promise<Array>} Array of namespaced tools from all reachable servers
+   */
+  async connectToCustomServers(servers) {
+    const results = await Promise.allSettled(
+      servers.map((server) => this.connectToCustomServer(server))
+    );
+
+    return results.flatMap((result, index) => {
+      if (result.status === "rejected") {
+        console.warn(`Failed to connect to MCP server ${servers[index].name}:`, result.reason?.message);
+        if (isUnavailableError(result.reason)) this.unavailableServers.push(servers[index].name);
+        return [];
+      }
+      return result.value;
+    });
+  }
+
+  /**
+   * Connects to a third-party MCP server and retrieves its tools.
+   * Tool names are prefixed with the server's slug so they can't collide with other servers' tools.
+   *
+   * @param {Object} server - MCP server record with name, slug, url and optional auth header
+   * @returns {Promise<Array>} Array of namespaced tools
+   * @throws {Error} If connection to the MCP server fails
+   */
+  async connectToCustomServer(server) {
+    console.log(`Connecting to MCP server ${server.name} at ${server.url}`);
+
+    // The URL was checked when it was saved, but its host may resolve elsewhere by now
+    const urlError = await validatePublicUrl(server.url);
+    if (urlError) {
+      throw new Error(`MCP server ${server.name} can't be used: ${urlError}`);
+    }
+    this.customServerUrls.add(server.url);
+
+    const toolsData = await this._listTools(server.url, this._customServerHeaders(server), server.id);
+    const tools = [];
+
+    for (const tool of this._formatToolsData(toolsData)) {
+      const name = namespaceToolName(server.slug, tool.name);
+      if (this.customServerTools.has(name)) {
+        console.warn(`Skipping duplicate tool ${name} from MCP server ${server.name}`);
+        continue;
+      }
+
+      this.customServerTools.set(name, { server, toolName: tool.name });
+      tools.push({
+        ...tool,
+        name,
+        description: `[${server.name}] ${tool.description || ""}`.trim()
+      });
+    }
+
+    this.tools = [...this.tools, ...tools];
+    return tools;
+  }
+
   /**
    * Dispatches a tool call to the appropriate MCP server based on the tool name.
    *
    * @param {string} toolName - Name of the tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
-   * @returns {Promise<Object>} Result from the tool call
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Aborts the call, in place of the client's signal
+   * @returns {Promise<Object>} Result from the tool call, or an error result for disabled or unreachable tools
    * @throws {Error} If tool is not found or call fails
    */
-  async callTool(toolName, toolArgs) {
-    if (this.customerTools.some(tool => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
-    } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
-    } else {
-      throw new Error(`Tool ${toolName} not found`);
+  async callTool(toolName, toolArgs, options = {}) {
+    // The model may still ask for a tool it saw earlier in the conversation
+    if (!this.isToolEnabled(toolName)) {
+      console.warn(`Refusing call to disabled tool ${toolName}`);
+      return {
+        error: {
+          type: "tool_disabled",
+          data: `Tool ${toolName} has been disabled by the store and can't be used`
+        }
+      };
+    }
+
+    try {
+      if (this.customServerTools.has(toolName)) {
+        return await this.callCustomServerTool(toolName, toolArgs, options);
+      } else if (this.customerTools.some(tool => tool.name === toolName)) {
+        return await this.callCustomerTool(toolName, toolArgs, options);
+      } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
+        return await this.callStorefrontTool(toolName, toolArgs, options);
+      } else {
+        throw new Error(`Tool ${toolName} not found`);
+      }
+    } catch (error) {
+      // Let the model tell the customer instead of failing the turn
+      if ((options.signal || this.signal)?.aborted || !isUnavailableError(error)) throw error;
+
+      return {
+        error: {
+          type: "unavailable",
+          data: `Tool ${toolName} is temporarily unavailable (${error.message}). Let the customer know and suggest trying again later.`
+        }
+      };
     }
   }
 
@@ -134,10 +323,11 @@ class MCPClient {
    *
    * @param {string} toolName - Name of the storefront tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, as for callTool
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If the tool call fails
    */
-  async callStorefrontTool(toolName, toolArgs) {
+  async callStorefrontTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling storefront tool", toolName, toolArgs);
       const normalizedArgs = this._normalizeToolArguments(toolArgs);
@@ -153,7 +343,8 @@ class MCPClient {
           name: toolName,
           arguments: normalizedArgs,
         },
-        headers
+        headers,
+        options
       );
 
       return response.result || response;
@@ -163,16 +354,54 @@ class MCPClient {
     }
   }
 
+  /**
+   * Calls a tool on one of the shop's third-party MCP servers.
+   *
+   * @param {string} toolName - Namespaced name of the tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, as for callTool
+   * @returns {Promise<Object>} Result from the tool call or an error result
+   */
+  async callCustomServerTool(toolName, toolArgs, options = {}) {
+    const { server, toolName: serverToolName } = this.customServerTools.get(toolName);
+
+    try {
+      console.log(`Calling ${server.name} tool`, serverToolName, toolArgs);
+
+      const response = await this._makeJsonRpcRequest(
+        server.url,
+        "tools/call",
+        {
+          name: serverToolName,
+          arguments: this._normalizeToolArguments(toolArgs),
+        },
+        this._customServerHeaders(server),
+        options
+      );
+
+      return response.result || response;
+    } catch (error) {
+      console.error(`Error calling tool ${toolName}:`, error);
+      return {
+        error: {
+          type: "internal_error",
+          data: `Error calling tool ${toolName}: ${error.message}`
+        }
+      };
+    }
+  }
+
   /**
    * Calls a tool on the customer MCP server.
    * Handles authentication if needed.
    *
    * @param {string} toolName - Name of the customer tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, as for callTool
    * @returns {Promise<Object>} Result from the tool call or auth error
    * @throws {Error} If the tool call fails
    */
-  async callCustomerTool(toolName, toolArgs) {
+  async callCustomerTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling customer tool", toolName, toolArgs);
       const normalizedArgs = this._normalizeToolArguments(toolArgs);
@@ -203,7 +432,8 @@ class MCPClient {
             name: toolName,
             arguments: normalizedArgs,
           },
-          headers
+          headers,
+          options
         );
 
         return response.result || response;
@@ -239,29 +469,237 @@ class MCPClient {
   }
 
   /**
-   * Makes a JSON-RPC request to the specified endpoint.
+   * Lists an endpoint's tools, using the shop's cached list when there is one.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @param {string} [cacheVariant] - Separates lists from the same endpoint that may differ, e.g. by auth
+   * @returns {Promise<Array>} Raw tools data from the API
+   * @throws {Error} If the request fails
+   */
+  async _listTools(endpoint, headers, cacheVariant = "") {
+    const cachedTools = this.shop ? getCachedTools(this.shop, endpoint, cacheVariant) : null;
+    if (cachedTools) return cachedTools;
+
+    const response = await this._makeJsonRpcRequest(endpoint, "tools/list", {}, headers);
+
+    // Extract tools from the JSON-RPC response format
+    const toolsData = response.result && response.result.tools ? response.result.tools : [];
+
+    // Error responses aren't cached, so the next message tries again
+    if (this.shop && response.result) {
+      setCachedTools(this.shop, endpoint, cacheVariant, toolsData);
+    }
+
+    return toolsData;
+  }
+
+  /**
+   * Makes a JSON-RPC request to the specified endpoint, starting an MCP session first if needed.
+   * Fails fast while the endpoint's circuit is open, and records the outcome for the circuit breaker.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request, in place of the client's signal
+   * @returns {Promise<Object>} Parsed JSON-RPC response
+   * @throws {Error} If the request fails, with code "circuit_open" when the endpoint is being skipped
+   */
+  async _makeJsonRpcRequest(endpoint, method, params, headers, options = {}) {
+    if (isCircuitOpen(endpoint)) {
+      const error = new Error(`MCP server at ${endpoint} is temporarily unavailable`);
+      error.code = "circuit_open";
+      throw error;
+    }
+
+    try {
+      const response = await this._makeSessionRequest(endpoint, method, params, headers, options);
+      recordSuccess(endpoint);
+      return response;
+    } catch (error) {
+      // Stopped or timed out by the caller, e.g. when a chat turn runs out of time: that says
+      // nothing about the server's health
+      if ((options.signal || this.signal)?.aborted) throw error;
+
+      if (isTransientError(error)) {
+        recordFailure(endpoint);
+      } else if (error.status) {
+        // The server answered, so it is up even though it refused the request
+        recordSuccess(endpoint);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Makes a JSON-RPC request in the endpoint's session, starting a new session if the server expired it.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} [options] - Request options, as for _makeJsonRpcRequest
+   * @returns {Promise<Object>} Parsed JSON-RPC response
+   * @throws {Error} If the request fails
+   */
+  async _makeSessionRequest(endpoint, method, params, headers, options = {}) {
+    const session = await this._getSession(endpoint, headers);
+
+    try {
+      return await this._sendWithRetry(endpoint, method, params, headers, session, options);
+    } catch (error) {
+      // A 404 for a request carrying a session ID means the server expired the session
+      if (error.status !== 404 || !session.sessionId) throw error;
+
+      console.log(`MCP session expired for ${endpoint}, starting a new one`);
+      this.sessions.delete(endpoint);
+      const newSession = await this._getSession(endpoint, headers);
+      return this._sendWithRetry(endpoint, method, params, headers, newSession, options);
+    }
+  }
+
+  /**
+   * Sends a JSON-RPC request, retrying idempotent methods with exponential backoff
+   * after timeouts, network errors and 5xx or 429 responses.
    *
    * @private
    * @param {string} endpoint - The endpoint URL
    * @param {string} method - The JSON-RPC method to call
    * @param {Object} params - Parameters for the method
    * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
+   * @param {Object} session - The session to send the request in
+   * @param {Object} [options] - Request options, as for _makeJsonRpcRequest
+   * @returns {Promise<Object>} Parsed JSON-RPC response
+   * @throws {Error} If the last attempt fails
+   */
+  async _sendWithRetry(endpoint, method, params, headers, session, options = {}) {
+    const maxRetries = RETRYABLE_METHODS.has(method) ? AppConfig.mcp.maxRetries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._sendJsonRpcRequest(endpoint, method, params, headers, session, options);
+      } catch (error) {
+        if ((options.signal || this.signal)?.aborted || attempt >= maxRetries || !isTransientError(error)) throw error;
+
+        const delayMs = AppConfig.mcp.retryBaseDelayMs * 2 ** attempt;
+        console.warn(`MCP ${method} to ${endpoint} failed (${error.message}), retrying in ${delayMs}ms`);
+        // Rejects with an AbortError as soon as the turn is stopped, instead of waiting out the backoff
+        await delay(delayMs, undefined, { signal: options.signal || this.signal });
+      }
+    }
+  }
+
+  /**
+   * Gets the session for an endpoint, running the initialize handshake on first use.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the handshake requests
+   * @returns {Promise<Object>} Session with sessionId, protocolVersion and capabilities
+   */
+  async _getSession(endpoint, headers) {
+    if (!this.sessions.has(endpoint)) {
+      const handshake = this._initializeSession(endpoint, headers);
+      this.sessions.set(endpoint, handshake);
+
+      // Don't cache a failed handshake, so the next request can retry it
+      handshake.catch(() => {
+        if (this.sessions.get(endpoint) === handshake) {
+          this.sessions.delete(endpoint);
+        }
+      });
+    }
+
+    return this.sessions.get(endpoint);
+  }
+
+  /**
+   * Runs the MCP initialize handshake with an endpoint.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the handshake requests
+   * @returns {Promise<Object>} Session with sessionId, protocolVersion and capabilities
+   */
+  async _initializeSession(endpoint, headers) {
+    const sessionlessSession = { sessionId: null, protocolVersion: null, capabilities: {} };
+
+    let response;
+    try {
+      response = await this._sendWithRetry(
+        endpoint,
+        "initialize",
+        {
+          protocolVersion: MCP_PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: MCP_CLIENT_INFO
+        },
+        headers,
+        sessionlessSession
+      );
+    } catch (error) {
+      // An unreachable server would fail the request too, so don't wait for it twice
+      if (error.name === "AbortError" || isTransientError(error)) throw error;
+
+      // Includes 401s: the request itself then reports the auth error to its caller
+      console.warn(`MCP initialize failed for ${endpoint}, continuing without a session:`, error.message);
+      return sessionlessSession;
+    }
+
+    if (!response.result) {
+      console.warn(`MCP server at ${endpoint} does not support initialize, continuing without a session`);
+      return sessionlessSession;
+    }
+
+    const session = {
+      // Kept so the session can be ended with the same credentials
+      headers,
+      sessionId: response.sessionId,
+      protocolVersion: response.result.protocolVersion || MCP_PROTOCOL_VERSION,
+      capabilities: response.result.capabilities || {},
+      serverInfo: response.result.serverInfo
+    };
+
+    await this._sendNotification(endpoint, "notifications/initialized", headers, session);
+
+    console.log(`Started MCP session with ${endpoint} (protocol ${session.protocolVersion})`);
+    return session;
+  }
+
+  /**
+   * Sends a JSON-RPC request and parses the JSON or SSE response body.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} session - The session to send the request in
+   * @param {Object} [options] - Request options, as for _makeJsonRpcRequest
+   * @returns {Promise<Object>} Parsed JSON-RPC response, with the server's session ID as sessionId
    * @throws {Error} If the request fails
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
+  async _sendJsonRpcRequest(endpoint, method, params, headers, session, options = {}) {
+    const id = this.nextRequestId++;
     const payload = {
       jsonrpc: "2.0",
       method: method,
-      id: 1,
+      id,
       params: params
     };
     const body = JSON.stringify(payload);
 
-    const response = await fetch(endpoint, {
+    const timeoutMs = method === "tools/call" ? AppConfig.mcp.toolCallTimeoutMs : AppConfig.mcp.requestTimeoutMs;
+    const response = await this._fetch(endpoint, {
       method: "POST",
-      headers: headers,
-      body
+      headers: this._buildHeaders(headers, session),
+      body,
+      signal: this._requestSignal(timeoutMs, { signal: options.signal })
     });
 
     if (!response.ok) {
@@ -274,12 +712,15 @@ class MCPClient {
         requestBody: body
       };
       console.error("MCP request failed", JSON.stringify(errorPayload, null, 2));
-      const errorObj = new Error(`Request failed: ${response.status} ${error}`);
+      const errorObj = new Error(`Request failed: ${response.status} ${errorText}`);
       errorObj.status = response.status;
       throw errorObj;
     }
 
-    const jsonResponse = await response.json();
+    const contentType = response.headers.get("Content-Type") || "";
+    const jsonResponse = contentType.includes("text/event-stream")
+      ? await this._readSseResponse(response, id, endpoint)
+      : await response.json();
 
     if (jsonResponse && jsonResponse.error) {
       console.error(
@@ -297,7 +738,185 @@ class MCPClient {
       );
     }
 
-    return jsonResponse;
+    return {
+      ...jsonResponse,
+      sessionId: response.headers.get("Mcp-Session-Id") || session.sessionId
+    };
+  }
+
+  /**
+   * Sends a JSON-RPC notification, which has no response.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The notification method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} session - The session to send the notification in
+   */
+  async _sendNotification(endpoint, method, headers, session) {
+    const response = await this._fetch(endpoint, {
+      method: "POST",
+      headers: this._buildHeaders(headers, session),
+      body: JSON.stringify({ jsonrpc: "2.0", method }),
+      signal: this._requestSignal(AppConfig.mcp.requestTimeoutMs)
+    });
+
+    if (!response.ok) {
+      console.warn(`MCP notification ${method} to ${endpoint} failed with status ${response.status}`);
+    }
+
+    // Release the connection; notifications are answered with an empty 202
+    await response.body?.cancel();
+  }
+
+  /**
+   * Creates the abort signal for one HTTP request: the client's signal combined with a timeout.
+   * The timeout also covers reading the response body.
+   *
+   * @private
+   * @param {number} timeoutMs - Request timeout, 0 for none
+   * @param {Object} [options] - Signal options
+   * @param {boolean} [options.abortable] - Whether aborting the client's signal aborts the request
+   * @param {AbortSignal} [options.signal] - Used in place of the client's signal, e.g. a turn's time-limited signal
+   * @returns {AbortSignal|undefined} The request's signal
+   */
+  _requestSignal(timeoutMs, { abortable = true, signal } = {}) {
+    const signals = [
+      abortable ? signal || this.signal : null,
+      timeoutMs ? AbortSignal.timeout(timeoutMs) : null
+    ].filter(Boolean);
+
+    return signals.length > 0 ? AbortSignal.any(signals) : undefined;
+  }
+
+  /**
+   * Sends an HTTP request to an endpoint. Requests to third-party servers only connect to
+   * public addresses, even if their host name resolves differently than when it was checked,
+   * and don't follow redirects, which could lead to an address the check didn't cover.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} init - Fetch options: method, headers, body and signal
+   * @returns {Promise<Response>} The fetch response
+   */
+  _fetch(endpoint, init) {
+    return this.customServerUrls.has(endpoint) ? fetchPublicUrl(endpoint, init) : fetch(endpoint, init);
+  }
+
+  /**
+   * Builds the HTTP headers for a request in a session.
+   *
+   * @private
+   * @param {Object} headers - Base HTTP headers
+   * @param {Object} session - The session the request belongs to
+   * @returns {Object} Headers including content negotiation and session headers
+   */
+  _buildHeaders(headers, session) {
+    return {
+      ...headers,
+      "Accept": "application/json, text/event-stream",
+      ...(session.sessionId ? { "Mcp-Session-Id": session.sessionId } : {}),
+      ...(session.protocolVersion ? { "MCP-Protocol-Version": session.protocolVersion } : {})
+    };
+  }
+
+  /**
+   * Reads an SSE response body until the JSON-RPC response with the given ID arrives.
+   * A tools/list_changed notification on the stream drops the endpoint's cached tool lists;
+   * other server notifications and events that aren't valid JSON are skipped.
+   *
+   * @private
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {number} id - The JSON-RPC request ID
+   * @param {string} endpoint - The endpoint URL the response came from
+   * @returns {Promise<Object>} The JSON-RPC response
+   * @throws {Error} If the stream ends without a response
+   */
+  async _readSseResponse(response, id, endpoint) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      let { value, done } = await reader.read();
+
+      while (!done) {
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop() || "";
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+          if (!data) continue;
+
+          // One malformed event shouldn't cost the response that follows it
+          let message;
+          try {
+            message = JSON.parse(data);
+          } catch (error) {
+            console.warn(`Skipping malformed SSE event from MCP server at ${endpoint}:`, error.message);
+            continue;
+          }
+
+          if (message?.id === id && (message.result !== undefined || message.error !== undefined)) {
+            return message;
+          }
+          if (message?.method === "notifications/tools/list_changed" && this.shop) {
+            console.log(`MCP server at ${endpoint} changed its tools, dropping cached tool lists`);
+            invalidateCachedTools(this.shop, endpoint);
+          }
+        }
+
+        ({ value, done } = await reader.read());
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+
+    throw new Error(`MCP stream ended without a response to request ${id}`);
+  }
+
+  /**
+   * Ends the MCP sessions opened by this client.
+   * Servers that don't support explicit termination reply 405, which is ignored.
+   *
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    const sessions = Array.from(this.sessions.entries());
+    this.sessions.clear();
+
+    await Promise.allSettled(sessions.map(async ([endpoint, pending]) => {
+      const session = await pending;
+      if (!session.sessionId) return;
+
+      const response = await this._fetch(endpoint, {
+        method: "DELETE",
+        headers: this._buildHeaders(session.headers, session),
+        signal: this._requestSignal(AppConfig.mcp.requestTimeoutMs, { abortable: false })
+      });
+      await response.body?.cancel();
+    }));
+  }
+
+  /**
+   * Builds the HTTP headers for a third-party MCP server.
+   *
+   * @private
+   * @param {Object} server - MCP server record
+   * @returns {Object} HTTP headers, including the server's auth header if configured
+   */
+  _customServerHeaders(server) {
+    return {
+      "Content-Type": "application/json",
+      ...(server.authHeaderName && server.authHeaderValue
+        ? { [server.authHeaderName]: server.authHeaderValue }
+        : {})
+    };
   }
 
   /**
@@ -341,4 +960,39 @@ class MCPClient {
   }
 }
 
+/**
+ * Checks whether a request failed in a way that may succeed if tried again later:
+ * a timeout, a network error, or a 5xx or 429 response
+ * @param {Error} error - The request error
+ * @returns {boolean} True for transient errors
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.name === "TimeoutError") return true;
+  if (error.status) return error.status >= 500 || error.status === 429;
+
+  // fetch rejects with a TypeError when the server can't be reached
+  return error.name === "TypeError";
+}
+
+/**
+ * Checks whether an error means a server can't be used right now
+ * @param {Error} error - The request error
+ * @returns {boolean} True when the server is unreachable or being skipped by the circuit breaker
+ */
+function isUnavailableError(error) {
+  return error?.code === "circuit_open" || isTransientError(error);
+}
+
+/**
+ * Prefixes a third-party tool name with its server's slug, keeping it a valid LLM tool name
+ * @param {string} slug - The server's slug
+ * @param {string} toolName - The tool name reported by the server
+ * @returns {string} The namespaced tool name
+ */
+export function namespaceToolName(slug, toolName) {
+  const name = `${slug}${TOOL_NAMESPACE_SEPARATOR}${toolName}`.replace(/[^A-Za-z0-9_-]/g, "_");
+  return name.slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
 export default MCPClient;
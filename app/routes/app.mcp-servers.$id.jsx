@@ -0,0 +1,262 @@
+import { useRef } from "react";
+import { Form, redirect, useActionData, useLoaderData, useNavigation, useSubmit } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  createMcpServer,
+  deleteMcpServer,
+  getMcpServer,
+  updateMcpServer
+} from "../db.server";
+import MCPClient, { TOOL_NAMESPACE_SEPARATOR } from "../mcp-client";
+import { invalidateCachedTools } from "../services/tool-cache.server";
+import { validatePublicUrl } from "../services/url-safety.server";
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  if (params.id === "new") {
+    return {
+      server: {
+        id: null,
+        name: "",
+        slug: "",
+        url: "",
+        authHeaderName: "Authorization",
+        hasAuthHeaderValue: false,
+        enabled: true
+      },
+      separator: TOOL_NAMESPACE_SEPARATOR
+    };
+  }
+
+  const server = await getMcpServer(session.shop, params.id);
+
+  if (!server) {
+    throw new Response("MCP server not found", { status: 404 });
+  }
+
+  // The auth header value is a secret, so it is never sent back to the browser
+  return {
+    server: {
+      id: server.id,
+      name: server.name,
+      slug: server.slug,
+      url: server.url,
+      authHeaderName: server.authHeaderName || "",
+      hasAuthHeaderValue: Boolean(server.authHeaderValue),
+      enabled: server.enabled
+    },
+    separator: TOOL_NAMESPACE_SEPARATOR
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "delete") {
+    await deleteMcpServer(session.shop, params.id);
+    invalidateCachedTools(session.shop);
+    return redirect("/app/mcp-servers");
+  }
+
+  const existingServer = params.id === "new" ? null : await getMcpServer(session.shop, params.id);
+  const authHeaderName = String(formData.get("authHeaderName") || "").trim();
+  const authHeaderValue = String(formData.get("authHeaderValue") || "");
+
+  const fields = {
+    name: String(formData.get("name") || "").trim(),
+    slug: String(formData.get("slug") || "").trim().toLowerCase(),
+    url: String(formData.get("url") || "").trim(),
+    authHeaderName: authHeaderName || null,
+    // An empty value keeps the stored secret; clearing the header name removes it
+    authHeaderValue: authHeaderName
+      ? authHeaderValue || existingServer?.authHeaderValue || null
+      : null,
+    enabled: formData.get("enabled") !== null
+  };
+
+  const errors = await validateServer(fields);
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  if (intent === "test") {
+    return testServer(session.shop, fields);
+  }
+
+  try {
+    if (params.id === "new") {
+      const server = await createMcpServer(session.shop, fields);
+      return redirect(`/app/mcp-servers/${server.id}`);
+    }
+
+    await updateMcpServer(session.shop, params.id, fields);
+    // The server's URL or credentials may have changed, so list its tools again
+    invalidateCachedTools(session.shop);
+    return { saved: true };
+  } catch (error) {
+    if (error.code === "P2002") {
+      return { errors: { slug: "Another server already uses this tool prefix" } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Validates MCP server form fields.
+ * The app requests the URL itself, so it must be https and resolve to a public address.
+ * @param {Object} fields - The submitted server fields
+ * @returns {Promise<Object>} Validation errors keyed by field name
+ */
+async function validateServer({ name, slug, url, authHeaderName }) {
+  const errors = {};
+
+  if (!name) {
+    errors.name = "Name is required";
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    errors.slug = "Use up to 24 lowercase letters, numbers or dashes";
+  }
+  const urlError = await validatePublicUrl(url);
+  if (urlError) {
+    errors.url = urlError;
+  }
+  if (authHeaderName && !HEADER_NAME_PATTERN.test(authHeaderName)) {
+    errors.authHeaderName = "Use letters, numbers or dashes";
+  }
+
+  return errors;
+}
+
+/**
+ * Connects to an MCP server with unsaved settings and lists its tools
+ * @param {string} shop - The shop domain
+ * @param {Object} server - The server fields to test
+ * @returns {Promise<Object>} The tool names the assistant would see, or an error
+ */
+async function testServer(shop, server) {
+  const mcpClient = new MCPClient(`https://${shop}`, null, null);
+
+  try {
+    const tools = await mcpClient.connectToCustomServer(server);
+    return { testTools: tools.map((tool) => tool.name) };
+  } catch (error) {
+    console.error("Error testing MCP server:", error);
+    return { testError: error.message };
+  } finally {
+    mcpClient.disconnect().catch(() => {});
+  }
+}
+
+export default function McpServerEditor() {
+  const { server, separator } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const submittingIntent = navigation.formData?.get("intent");
+  const errors = actionData?.errors || {};
+  const formRef = useRef(null);
+  const submit = useSubmit();
+
+  const submitIntent = (intent) => {
+    const formData = new FormData(formRef.current);
+    formData.set("intent", intent);
+    submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading={server.id ? server.name : "Add MCP server"}>
+      <s-link slot="breadcrumb-actions" href="/app/mcp-servers">MCP servers</s-link>
+
+      <Form method="post" ref={formRef}>
+        <s-section heading="Server">
+          <s-stack gap="base">
+            {actionData?.saved && <s-banner tone="success">Server saved</s-banner>}
+            <s-text-field
+              label="Name"
+              name="name"
+              value={server.name}
+              details="Shown to the assistant with each of the server's tools, e.g. Loyalty program"
+              error={errors.name}
+            />
+            <s-text-field
+              label="Tool prefix"
+              name="slug"
+              value={server.slug}
+              details={`Tool names become prefix${separator}tool_name, so tools from different servers can't collide`}
+              error={errors.slug}
+            />
+            <s-url-field
+              label="URL"
+              name="url"
+              value={server.url}
+              placeholder="https://example.com/mcp"
+              details="The server's Streamable HTTP endpoint"
+              error={errors.url}
+            />
+            <s-text-field
+              label="Auth header name"
+              name="authHeaderName"
+              value={server.authHeaderName}
+              details="Leave empty if the server doesn't need authentication"
+              error={errors.authHeaderName}
+            />
+            <s-password-field
+              label="Auth header value"
+              name="authHeaderValue"
+              placeholder={server.hasAuthHeaderValue ? "Leave empty to keep the saved value" : "Bearer ..."}
+            />
+            <s-checkbox
+              label="Enabled"
+              name="enabled"
+              details="Disabled servers keep their settings but their tools aren't offered to the assistant"
+              {...(server.enabled ? { checked: true } : {})}
+            />
+            <s-button-group>
+              <s-button
+                variant="primary"
+                onClick={() => submitIntent("save")}
+                {...(isSubmitting && submittingIntent === "save" ? { loading: true } : {})}
+              >
+                Save
+              </s-button>
+              <s-button
+                onClick={() => submitIntent("test")}
+                {...(isSubmitting && submittingIntent === "test" ? { loading: true } : {})}
+              >
+                Test connection
+              </s-button>
+              {server.id && (
+                <s-button tone="critical" onClick={() => submitIntent("delete")}>
+                  Delete
+                </s-button>
+              )}
+            </s-button-group>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      {(actionData?.testTools || actionData?.testError) && (
+        <s-section heading="Connection test">
+          {actionData.testError ? (
+            <s-banner tone="critical">{actionData.testError}</s-banner>
+          ) : (
+            <s-stack gap="small-200">
+              <s-banner tone="success">
+                Connected. The assistant will see {actionData.testTools.length} tools.
+              </s-banner>
+              {actionData.testTools.map((toolName) => (
+                <s-text key={toolName}>{toolName}</s-text>
+              ))}
+            </s-stack>
+          )}
+        </s-section>
+      )}
+    </s-page>
+  );
+}
@@ -0,0 +1,76 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listMcpServers } from "../db.server";
+import { TOOL_NAMESPACE_SEPARATOR } from "../mcp-client";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const servers = await listMcpServers(session.shop);
+
+  return {
+    servers: servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      toolPrefix: `${server.slug}${TOOL_NAMESPACE_SEPARATOR}`,
+      url: server.url,
+      enabled: server.enabled
+    }))
+  };
+};
+
+export default function McpServers() {
+  const { servers } = useLoaderData();
+
+  return (
+    <s-page heading="MCP servers">
+      <s-button slot="primary-action" variant="primary" href="/app/mcp-servers/new">
+        Add server
+      </s-button>
+
+      <s-section heading="Your servers">
+        {servers.length === 0 ? (
+          <s-paragraph>
+            You haven&apos;t added any MCP servers. The assistant uses your
+            store&apos;s catalog, cart and customer account tools until you do.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Name</s-table-header>
+              <s-table-header>Tool prefix</s-table-header>
+              <s-table-header>URL</s-table-header>
+              <s-table-header>Status</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {servers.map((server) => (
+                <s-table-row key={server.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/mcp-servers/${server.id}`}>{server.name}</s-link>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text>{server.toolPrefix}</s-text>
+                  </s-table-cell>
+                  <s-table-cell>{server.url}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={server.enabled ? "success" : "neutral"}>
+                      {server.enabled ? "Enabled" : "Disabled"}
+                    </s-badge>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="About MCP servers" slot="aside">
+        <s-paragraph>
+          Connect services such as a loyalty program, size guide or helpdesk
+          that speak the Model Context Protocol. Their tools are offered to the
+          assistant alongside your store&apos;s own tools, with names prefixed
+          by the server&apos;s tool prefix.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
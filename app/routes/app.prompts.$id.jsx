@@ -0,0 +1,282 @@
+import { useRef } from "react";
+import { Form, redirect, useActionData, useLoaderData, useNavigation, useSubmit } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  createPrompt,
+  deletePrompt,
+  getPrompt,
+  restorePromptVersion,
+  updatePrompt
+} from "../db.server";
+import { getDefaultPrompts } from "../services/prompt.server";
+import { getLlmSettings, createLlmService } from "../services/settings.server";
+
+const PROMPT_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  if (params.id === "new") {
+    // Optionally start from a built-in prompt
+    const from = new URL(request.url).searchParams.get("from");
+    const defaultPrompt = from ? getDefaultPrompts()[from] : null;
+
+    return {
+      prompt: {
+        id: null,
+        key: defaultPrompt ? from : "",
+        name: "",
+        description: defaultPrompt?.description || "",
+        content: defaultPrompt?.content || "",
+        version: 0
+      },
+      versions: []
+    };
+  }
+
+  const prompt = await getPrompt(session.shop, params.id);
+
+  if (!prompt) {
+    throw new Response("Prompt not found", { status: 404 });
+  }
+
+  return {
+    prompt: {
+      id: prompt.id,
+      key: prompt.key,
+      name: prompt.name,
+      description: prompt.description || "",
+      content: prompt.content,
+      version: prompt.version
+    },
+    versions: prompt.versions.map((version) => ({
+      id: version.id,
+      version: version.version,
+      content: version.content,
+      createdAt: version.createdAt.toISOString()
+    }))
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "delete") {
+    await deletePrompt(session.shop, params.id);
+    return redirect("/app/prompts");
+  }
+
+  if (intent === "restore") {
+    const version = parseInt(formData.get("version"), 10);
+    await restorePromptVersion(session.shop, params.id, version);
+    return redirect(`/app/prompts/${params.id}`);
+  }
+
+  const fields = {
+    key: String(formData.get("key") || "").trim(),
+    name: String(formData.get("name") || "").trim(),
+    description: String(formData.get("description") || "").trim() || null,
+    content: String(formData.get("content") || "")
+  };
+
+  if (intent === "preview") {
+    return previewPrompt(session.shop, fields.content, String(formData.get("previewMessage") || ""));
+  }
+
+  const errors = validatePrompt(fields);
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  try {
+    if (params.id === "new") {
+      const prompt = await createPrompt(session.shop, fields);
+      return redirect(`/app/prompts/${prompt.id}`);
+    }
+
+    await updatePrompt(session.shop, params.id, fields);
+    return { saved: true };
+  } catch (error) {
+    if (error.code === "P2002") {
+      return { errors: { key: "Another prompt already uses this key" } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Validates prompt form fields
+ * @param {Object} fields - The submitted prompt fields
+ * @returns {Object} Validation errors keyed by field name
+ */
+function validatePrompt({ key, name, content }) {
+  const errors = {};
+
+  if (!PROMPT_KEY_PATTERN.test(key)) {
+    errors.key = "Use letters, numbers, dashes or underscores";
+  }
+  if (!name) {
+    errors.name = "Name is required";
+  }
+  if (!content.trim()) {
+    errors.content = "Prompt content is required";
+  }
+
+  return errors;
+}
+
+/**
+ * Runs a single preview turn against the LLM using unsaved prompt content
+ * @param {string} shop - The shop domain
+ * @param {string} content - The prompt content to preview
+ * @param {string} previewMessage - The sample shopper message
+ * @returns {Promise<Object>} The preview reply or an error
+ */
+async function previewPrompt(shop, content, previewMessage) {
+  if (!content.trim() || !previewMessage.trim()) {
+    return { previewError: "Enter prompt content and a sample message to preview" };
+  }
+
+  const llmService = createLlmService(await getLlmSettings(shop));
+
+  try {
+    let preview = "";
+    await llmService.streamConversation(
+      {
+        messages: [{ role: "user", content: previewMessage }],
+        systemPrompt: content,
+        shop
+      },
+      {
+        onText: (textDelta) => {
+          preview += textDelta;
+        }
+      }
+    );
+
+    return { preview };
+  } catch (error) {
+    console.error("Error previewing prompt:", error);
+    return { previewError: error.message };
+  }
+}
+
+export default function PromptEditor() {
+  const { prompt, versions } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const submittingIntent = navigation.formData?.get("intent");
+  const errors = actionData?.errors || {};
+  const formRef = useRef(null);
+  const submit = useSubmit();
+
+  const submitIntent = (intent) => {
+    const formData = new FormData(formRef.current);
+    formData.set("intent", intent);
+    submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading={prompt.id ? prompt.name : "New prompt"}>
+      <s-link slot="breadcrumb-actions" href="/app/prompts">Prompts</s-link>
+
+      <Form method="post" ref={formRef}>
+        <s-section heading="Prompt">
+          <s-stack gap="base">
+            {actionData?.saved && (
+              <s-banner tone="success">Saved version {prompt.version}</s-banner>
+            )}
+            <s-text-field
+              label="Name"
+              name="name"
+              value={prompt.name}
+              error={errors.name}
+            />
+            <s-text-field
+              label="Key"
+              name="key"
+              value={prompt.key}
+              details="Enter this key in the theme block's System Prompt setting"
+              error={errors.key}
+            />
+            <s-text-field
+              label="Description"
+              name="description"
+              value={prompt.description}
+            />
+            <s-text-area
+              label="Content"
+              name="content"
+              rows={16}
+              value={prompt.content}
+              error={errors.content}
+            />
+            <s-text-field
+              label="Sample shopper message"
+              name="previewMessage"
+              value="Hi! What can you help me with?"
+            />
+            <s-button-group>
+              <s-button
+                variant="primary"
+                onClick={() => submitIntent("save")}
+                {...(isSubmitting && submittingIntent === "save" ? { loading: true } : {})}
+              >
+                Save
+              </s-button>
+              <s-button
+                onClick={() => submitIntent("preview")}
+                {...(isSubmitting && submittingIntent === "preview" ? { loading: true } : {})}
+              >
+                Preview
+              </s-button>
+              {prompt.id && (
+                <s-button tone="critical" onClick={() => submitIntent("delete")}>
+                  Delete
+                </s-button>
+              )}
+            </s-button-group>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      {(actionData?.preview !== undefined || actionData?.previewError) && (
+        <s-section heading="Preview">
+          {actionData.previewError ? (
+            <s-banner tone="critical">{actionData.previewError}</s-banner>
+          ) : (
+            <s-box padding="base" background="subdued" borderRadius="base">
+              <pre style={{ whiteSpace: "pre-wrap", margin: 0 }}>{actionData.preview}</pre>
+            </s-box>
+          )}
+        </s-section>
+      )}
+
+      {versions.length > 0 && (
+        <s-section heading="Version history" slot="aside">
+          <s-stack gap="base">
+            {versions.map((version) => (
+              <s-stack key={version.id} direction="inline" gap="base" alignItems="center">
+                <s-text type="strong">v{version.version}</s-text>
+                <s-text>{new Date(version.createdAt).toLocaleString()}</s-text>
+                {version.version !== prompt.version && (
+                  <s-button
+                    onClick={() => submit(
+                      { intent: "restore", version: String(version.version) },
+                      { method: "post" }
+                    )}
+                  >
+                    Restore
+                  </s-button>
+                )}
+              </s-stack>
+            ))}
+          </s-stack>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
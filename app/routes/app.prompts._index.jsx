@@ -0,0 +1,102 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listPrompts } from "../db.server";
+import { getDefaultPrompts } from "../services/prompt.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const prompts = await listPrompts(session.shop);
+
+  // Built-in prompts that the shop has not overridden yet
+  const customizedKeys = new Set(prompts.map((prompt) => prompt.key));
+  const defaultPrompts = Object.entries(getDefaultPrompts())
+    .filter(([key]) => !customizedKeys.has(key))
+    .map(([key, prompt]) => ({
+      key,
+      description: prompt.description,
+      version: prompt.version
+    }));
+
+  return {
+    prompts: prompts.map((prompt) => ({
+      id: prompt.id,
+      key: prompt.key,
+      name: prompt.name,
+      description: prompt.description,
+      version: prompt.version,
+      updatedAt: prompt.updatedAt.toISOString()
+    })),
+    defaultPrompts
+  };
+};
+
+export default function Prompts() {
+  const { prompts, defaultPrompts } = useLoaderData();
+
+  return (
+    <s-page heading="System prompts">
+      <s-button slot="primary-action" variant="primary" href="/app/prompts/new">
+        New prompt
+      </s-button>
+
+      <s-section heading="Your prompts">
+        {prompts.length === 0 ? (
+          <s-paragraph>
+            You haven&apos;t written any prompts yet. The chat widget uses the
+            built-in prompts below until you do.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Name</s-table-header>
+              <s-table-header>Key</s-table-header>
+              <s-table-header>Version</s-table-header>
+              <s-table-header>Last updated</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {prompts.map((prompt) => (
+                <s-table-row key={prompt.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/prompts/${prompt.id}`}>{prompt.name}</s-link>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text>{prompt.key}</s-text>
+                  </s-table-cell>
+                  <s-table-cell>v{prompt.version}</s-table-cell>
+                  <s-table-cell>
+                    {new Date(prompt.updatedAt).toLocaleString()}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Built-in prompts">
+        <s-stack gap="base">
+          {defaultPrompts.map((prompt) => (
+            <s-stack key={prompt.key} direction="inline" gap="base" alignItems="center">
+              <s-text type="strong">{prompt.key}</s-text>
+              <s-text>{prompt.description}</s-text>
+              <s-button href={`/app/prompts/new?from=${encodeURIComponent(prompt.key)}`}>
+                Customize
+              </s-button>
+            </s-stack>
+          ))}
+          {defaultPrompts.length === 0 && (
+            <s-paragraph>Every built-in prompt has been customized.</s-paragraph>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Using prompts" slot="aside">
+        <s-paragraph>
+          Set the <s-text type="strong">System Prompt</s-text> field of the AI
+          Chat Assistant block in your theme editor to a prompt&apos;s key.
+          A prompt that uses a built-in key replaces that built-in prompt.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
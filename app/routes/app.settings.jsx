@@ -0,0 +1,157 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, saveShopSettings } from "../db.server";
+import AppConfig, { parseList } from "../services/config.server";
+import { getProvider, listProviders } from "../services/providers.server";
+import { getDefaultModel } from "../services/settings.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+
+  return {
+    settings: {
+      provider: settings?.provider || "",
+      model: settings?.model || "",
+      maxTokens: settings?.maxTokens ? String(settings.maxTokens) : "",
+      fallbackProviders: settings?.fallbackProviders || "",
+      dailyTokenCap: settings?.dailyTokenCap != null ? String(settings.dailyTokenCap) : ""
+    },
+    providers: listProviders().map(({ name, label }) => ({ value: name, label })),
+    defaults: {
+      provider: AppConfig.api.provider,
+      models: Object.fromEntries(
+        listProviders().map(({ name }) => [name, getDefaultModel(name)])
+      ),
+      maxTokens: AppConfig.api.maxTokens,
+      fallbackProviders: AppConfig.api.fallbackProviders.join(", "),
+      dailyTokenCap: AppConfig.limits.dailyTokenCapPerShop
+    }
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const provider = String(formData.get("provider") || "");
+  const model = String(formData.get("model") || "").trim();
+  const maxTokensValue = String(formData.get("maxTokens") || "").trim();
+  const maxTokens = maxTokensValue ? parseInt(maxTokensValue, 10) : null;
+  const fallbackProviders = parseList(String(formData.get("fallbackProviders") || ""));
+  const dailyTokenCapValue = String(formData.get("dailyTokenCap") || "").trim();
+  const dailyTokenCap = dailyTokenCapValue ? parseInt(dailyTokenCapValue, 10) : null;
+
+  const errors = {};
+  const selectedProvider = getProvider(provider || AppConfig.api.provider);
+  if (provider && !getProvider(provider)) {
+    errors.provider = "Choose a supported provider";
+  }
+  if (selectedProvider?.requiresBaseUrl && !AppConfig.api.compatibleBaseUrl) {
+    errors.provider = "This provider needs OPENAI_COMPATIBLE_BASE_URL to be set on the server";
+  }
+  const unknownFallbacks = fallbackProviders.filter((name) => !getProvider(name));
+  if (unknownFallbacks.length > 0) {
+    errors.fallbackProviders = `Unknown providers: ${unknownFallbacks.join(", ")}`;
+  }
+  if (maxTokensValue && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+    errors.maxTokens = "Enter a positive whole number";
+  }
+  if (dailyTokenCapValue && (!Number.isInteger(dailyTokenCap) || dailyTokenCap < 0)) {
+    errors.dailyTokenCap = "Enter 0 or a positive whole number";
+  }
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  await saveShopSettings(session.shop, {
+    provider: provider || null,
+    model: model || null,
+    maxTokens,
+    fallbackProviders: fallbackProviders.length > 0 ? fallbackProviders.join(",") : null,
+    dailyTokenCap
+  });
+
+  return { saved: true };
+};
+
+export default function Settings() {
+  const { settings, providers, defaults } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSaving = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+  const defaultProvider = providers.find(({ value }) => value === defaults.provider);
+
+  return (
+    <s-page heading="Settings">
+      <Form method="post">
+        <s-section heading="Language model">
+          <s-stack gap="base">
+            {actionData?.saved && <s-banner tone="success">Settings saved</s-banner>}
+            <s-select
+              label="Provider"
+              name="provider"
+              value={settings.provider}
+              error={errors.provider}
+            >
+              <s-option value="">
+                App default ({defaultProvider?.label || defaults.provider})
+              </s-option>
+              {providers.map(({ value, label }) => (
+                <s-option key={value} value={value}>{label}</s-option>
+              ))}
+            </s-select>
+            <s-text-field
+              label="Model"
+              name="model"
+              value={settings.model}
+              placeholder={defaults.models[settings.provider || defaults.provider]}
+              details="Leave empty to use the provider's default model"
+            />
+            <s-number-field
+              label="Max tokens per response"
+              name="maxTokens"
+              value={settings.maxTokens}
+              placeholder={String(defaults.maxTokens)}
+              min={1}
+              error={errors.maxTokens}
+            />
+            <s-text-field
+              label="Fallback providers"
+              name="fallbackProviders"
+              value={settings.fallbackProviders}
+              placeholder={defaults.fallbackProviders}
+              details={`Comma-separated, tried in order when the provider fails before answering. Available: ${providers.map(({ value }) => value).join(", ")}`}
+              error={errors.fallbackProviders}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Spend limits">
+          <s-stack gap="base">
+            <s-number-field
+              label="Daily token cap"
+              name="dailyTokenCap"
+              value={settings.dailyTokenCap}
+              placeholder={String(defaults.dailyTokenCap)}
+              min={0}
+              details="Maximum input and output tokens per day (UTC). Shoppers see a friendly message once it's reached. Use 0 for no cap."
+              error={errors.dailyTokenCap}
+            />
+            <s-button type="submit" variant="primary" {...(isSaving ? { loading: true } : {})}>
+              Save
+            </s-button>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      <s-section heading="About these settings" slot="aside">
+        <s-paragraph>
+          These settings apply to every chat on your storefront. Empty fields
+          use the app&apos;s defaults.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
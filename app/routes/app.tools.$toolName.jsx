@@ -0,0 +1,127 @@
+import { useRef } from "react";
+import { Form, redirect, useActionData, useLoaderData, useNavigation, useSubmit } from "react-router";
+import { authenticate } from "../shopify.server";
+import { deleteToolPolicy, saveToolPolicy } from "../db.server";
+import { listShopTools, MAX_DESCRIPTION_LENGTH } from "../services/tool-policy.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const tools = await listShopTools(session.shop);
+  const tool = tools.find(({ name }) => name === params.toolName);
+
+  if (!tool) {
+    throw new Response("Tool not found", { status: 404 });
+  }
+
+  return {
+    tool: {
+      name: tool.name,
+      description: tool.description,
+      source: tool.source,
+      hasPolicy: Boolean(tool.policy),
+      enabled: tool.policy?.enabled ?? true,
+      requiresConfirmation: tool.policy?.requiresConfirmation ?? false,
+      descriptionOverride: tool.policy?.descriptionOverride || ""
+    },
+    maxDescriptionLength: MAX_DESCRIPTION_LENGTH
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "reset") {
+    await deleteToolPolicy(session.shop, params.toolName);
+    return redirect("/app/tools");
+  }
+
+  const descriptionOverride = String(formData.get("descriptionOverride") || "").trim();
+  if (descriptionOverride.length > MAX_DESCRIPTION_LENGTH) {
+    return { errors: { descriptionOverride: `Use at most ${MAX_DESCRIPTION_LENGTH} characters` } };
+  }
+
+  await saveToolPolicy(session.shop, params.toolName, {
+    enabled: formData.get("enabled") !== null,
+    requiresConfirmation: formData.get("requiresConfirmation") !== null,
+    descriptionOverride: descriptionOverride || null
+  });
+
+  return { saved: true };
+};
+
+export default function ToolPolicyEditor() {
+  const { tool, maxDescriptionLength } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const submittingIntent = navigation.formData?.get("intent");
+  const errors = actionData?.errors || {};
+  const formRef = useRef(null);
+  const submit = useSubmit();
+
+  const submitIntent = (intent) => {
+    const formData = new FormData(formRef.current);
+    formData.set("intent", intent);
+    submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading={tool.name}>
+      <s-link slot="breadcrumb-actions" href="/app/tools">Tools</s-link>
+
+      <Form method="post" ref={formRef}>
+        <s-section heading="Policy">
+          <s-stack gap="base">
+            {actionData?.saved && <s-banner tone="success">Policy saved</s-banner>}
+            {!tool.source && (
+              <s-banner tone="warning">
+                No MCP server currently offers this tool. Its policy applies if it comes back.
+              </s-banner>
+            )}
+            <s-checkbox
+              label="Enabled"
+              name="enabled"
+              details="Disabled tools aren't offered to the assistant, and calls to them are refused"
+              {...(tool.enabled ? { checked: true } : {})}
+            />
+            <s-checkbox
+              label="Require shopper confirmation"
+              name="requiresConfirmation"
+              details="The assistant asks the shopper to approve each call before it runs"
+              {...(tool.requiresConfirmation ? { checked: true } : {})}
+            />
+            <s-text-area
+              label="Description override"
+              name="descriptionOverride"
+              value={tool.descriptionOverride}
+              rows={4}
+              maxLength={maxDescriptionLength}
+              details="Replaces the description the assistant sees. Leave empty to use the server's description"
+              error={errors.descriptionOverride}
+            />
+            <s-button-group>
+              <s-button
+                variant="primary"
+                onClick={() => submitIntent("save")}
+                {...(isSubmitting && submittingIntent === "save" ? { loading: true } : {})}
+              >
+                Save
+              </s-button>
+              {tool.hasPolicy && (
+                <s-button onClick={() => submitIntent("reset")}>
+                  Reset to defaults
+                </s-button>
+              )}
+            </s-button-group>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      <s-section heading="Server description" slot="aside">
+        <s-paragraph>{tool.description || "The server didn't describe this tool."}</s-paragraph>
+        {tool.source && <s-text color="subdued">From {tool.source}</s-text>}
+      </s-section>
+    </s-page>
+  );
+}
@@ -0,0 +1,72 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listShopTools } from "../services/tool-policy.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const tools = await listShopTools(session.shop);
+
+  return {
+    tools: tools.map((tool) => ({
+      name: tool.name,
+      source: tool.source,
+      enabled: tool.policy?.enabled ?? true,
+      requiresConfirmation: tool.policy?.requiresConfirmation ?? false,
+      hasDescriptionOverride: Boolean(tool.policy?.descriptionOverride)
+    }))
+  };
+};
+
+export default function Tools() {
+  const { tools } = useLoaderData();
+
+  return (
+    <s-page heading="Tools">
+      <s-section heading="Assistant tools">
+        {tools.length === 0 ? (
+          <s-paragraph>
+            No tools are available. Check that your store&apos;s MCP endpoints
+            and MCP servers can be reached.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Tool</s-table-header>
+              <s-table-header>Source</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Confirmation</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {tools.map((tool) => (
+                <s-table-row key={tool.name}>
+                  <s-table-cell>
+                    <s-link href={`/app/tools/${tool.name}`}>{tool.name}</s-link>
+                    {tool.hasDescriptionOverride && <s-text color="subdued"> (custom description)</s-text>}
+                  </s-table-cell>
+                  <s-table-cell>{tool.source || "Not currently available"}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={tool.enabled ? "success" : "neutral"}>
+                      {tool.enabled ? "Enabled" : "Disabled"}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>
+                    {tool.requiresConfirmation ? "Shopper approves each call" : "None"}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="About tools" slot="aside">
+        <s-paragraph>
+          These are the tools your store&apos;s MCP endpoints and MCP servers
+          offer the assistant. Disable a tool to keep the assistant from using
+          it, for example to stop it changing carts, or require shoppers to
+          approve each call.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
@@ -0,0 +1,132 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getShopUsage } from "../db.server";
+import { summarizeUsage } from "../services/usage.server";
+
+const RANGES = [7, 30, 90];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const requestedDays = parseInt(new URL(request.url).searchParams.get("days"), 10);
+  const days = RANGES.includes(requestedDays) ? requestedDays : 30;
+
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const rows = await getShopUsage(session.shop, since);
+
+  return { days, ...summarizeUsage(rows) };
+};
+
+/**
+ * Formats an estimated cost in USD
+ * @param {number} cost - The cost in USD
+ * @returns {string} The formatted cost
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Formats a token count with thousands separators
+ * @param {number} tokens - The token count
+ * @returns {string} The formatted count
+ */
+function formatTokens(tokens) {
+  return tokens.toLocaleString();
+}
+
+export default function Usage() {
+  const { days, totals, byDay, byModel } = useLoaderData();
+
+  return (
+    <s-page heading="Usage">
+      <s-section>
+        <s-stack direction="inline" gap="base">
+          {RANGES.map((range) => (
+            <s-button
+              key={range}
+              href={`/app/usage?days=${range}`}
+              variant={range === days ? "primary" : "secondary"}
+            >
+              Last {range} days
+            </s-button>
+          ))}
+        </s-stack>
+      </s-section>
+
+      <s-section heading={`Totals for the last ${days} days`}>
+        <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base">
+          <s-stack>
+            <s-text color="subdued">Estimated cost</s-text>
+            <s-heading>{formatCost(totals.cost)}</s-heading>
+          </s-stack>
+          <s-stack>
+            <s-text color="subdued">Conversations</s-text>
+            <s-heading>{totals.conversations}</s-heading>
+          </s-stack>
+          <s-stack>
+            <s-text color="subdued">Input tokens</s-text>
+            <s-heading>{formatTokens(totals.inputTokens)}</s-heading>
+          </s-stack>
+          <s-stack>
+            <s-text color="subdued">Output tokens</s-text>
+            <s-heading>{formatTokens(totals.outputTokens)}</s-heading>
+          </s-stack>
+        </s-grid>
+      </s-section>
+
+      <s-section heading="By day">
+        {byDay.length === 0 ? (
+          <s-paragraph>No chat usage in this period.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Date</s-table-header>
+              <s-table-header format="numeric">Responses</s-table-header>
+              <s-table-header format="numeric">Summaries</s-table-header>
+              <s-table-header format="numeric">Input tokens</s-table-header>
+              <s-table-header format="numeric">Output tokens</s-table-header>
+              <s-table-header format="numeric">Estimated cost</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {byDay.map((day) => (
+                <s-table-row key={day.date}>
+                  <s-table-cell>{day.date}</s-table-cell>
+                  <s-table-cell>{day.messages}</s-table-cell>
+                  <s-table-cell>{day.summaries}</s-table-cell>
+                  <s-table-cell>{formatTokens(day.inputTokens)}</s-table-cell>
+                  <s-table-cell>{formatTokens(day.outputTokens)}</s-table-cell>
+                  <s-table-cell>{formatCost(day.cost)}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      {byModel.length > 0 && (
+        <s-section heading="By model" slot="aside">
+          <s-stack gap="base">
+            {byModel.map((model) => (
+              <s-stack key={model.model} gap="small-200">
+                <s-text type="strong">{model.model}</s-text>
+                <s-text>
+                  {formatCost(model.cost)} · {formatTokens(model.inputTokens + model.outputTokens)} tokens
+                </s-text>
+              </s-stack>
+            ))}
+          </s-stack>
+        </s-section>
+      )}
+
+      <s-section heading="About these numbers" slot="aside">
+        <s-paragraph>
+          Costs are estimates based on the app&apos;s model price table and the
+          token counts reported by each provider.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
@@ -0,0 +1,10 @@
+import { loader as tokenStatusLoader } from "./auth.token-status";
+import { authenticateAppProxy } from "../services/app-proxy.server";
+
+/**
+ * Token status endpoint served through Shopify's app proxy, next to the proxied chat route
+ */
+export async function loader({ request }) {
+  await authenticateAppProxy(request);
+  return tokenStatusLoader({ request });
+}
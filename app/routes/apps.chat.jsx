@@ -0,0 +1,23 @@
+/**
+ * App Proxy Chat Route
+ * Serves the chat API through Shopify's app proxy, e.g. /apps/shop-chat/chat on the storefront.
+ * Unsigned requests are rejected, and the shop and customer come from the signed query.
+ */
+import { loader as chatLoader, action as chatAction } from "./chat";
+import { authenticateAppProxy } from "../services/app-proxy.server";
+
+/**
+ * React Router loader function for proxied GET requests
+ */
+export async function loader({ request }) {
+  const storefront = await authenticateAppProxy(request);
+  return chatLoader({ request, storefront });
+}
+
+/**
+ * React Router action function for proxied POST and DELETE requests
+ */
+export async function action({ request }) {
+  const storefront = await authenticateAppProxy(request);
+  return chatAction({ request, storefront });
+}
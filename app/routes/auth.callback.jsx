@@ -1,4 +1,5 @@
-import { getCodeVerifier, storeCustomerToken, getCustomerAccountUrls } from "../db.server";
+import { getCodeVerifier, storeCustomerToken, getCustomerAccountUrls, createOrUpdateConversation } from "../db.server";
+import { getCustomerIdFromIdToken } from "../auth.server";
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -31,6 +32,12 @@ export async function loader({ request }) {
       );
 
       console.log('Stored customer token in database for conversation:', conversationId);
+
+      // Link the conversation to the customer, so they can reopen it from other devices
+      const customerId = getCustomerIdFromIdToken(tokenResponse.id_token);
+      if (customerId) {
+        await createOrUpdateConversation(conversationId, null, customerId);
+      }
     } catch (error) {
       console.error('Failed to store token in database:', error);
       // Continue anyway to not disrupt user flow
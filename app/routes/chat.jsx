@@ -2,19 +2,28 @@
  * Chat API Route
  * Handles chat interactions with Claude API and tools
  */
+import { randomBytes } from "node:crypto";
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory, storeCustomerAccountUrls, getCustomerAccountUrls as getCustomerAccountUrlsFromDb } from "../db.server";
+import { saveMessage, getConversationHistory, getConversation, getMessageImages, listCustomerConversations, createOrUpdateConversation, storeCustomerAccountUrls, getCustomerAccountUrls as getCustomerAccountUrlsFromDb, listMcpServers, listToolPolicies } from "../db.server";
 import AppConfig from "../services/config.server";
-import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
-import { createOpenAIService } from "../services/openai.server";
+import { createSseStream, createResumeStream, getTurnBuffer, cancelTurn } from "../services/streaming.server";
+import { getLlmSettings, getDailyTokenCap, createLlmService } from "../services/settings.server";
+import { checkRateLimits, checkIpRateLimit, checkConversationRateLimit, checkDailyTokenCap, getClientIp } from "../services/rate-limit.server";
 import { createToolService } from "../services/tool.server";
+import { getMessageUsage } from "../services/usage.server";
+import { runAgentLoop } from "../services/agent.server";
+import { prepareConversationContext } from "../services/context.server";
+import { waitForConfirmation, resolveConfirmation, describeToolCall } from "../services/confirmation.server";
+import { parseImageUploads, buildUserMessageContent } from "../services/image.server";
 
 
 /**
  * Rract Router loader function for handling GET requests
+ * @param {Object} args - Loader arguments
+ * @param {Request} args.request - The request object
+ * @param {Object} [args.storefront] - The verified storefront, passed by the app proxy route
  */
-export async function loader({ request }) {
+export async function loader({ request, storefront }) {
   // Handle OPTIONS requests (CORS preflight)
   if (request.method === "OPTIONS") {
     return new Response(null, {
@@ -23,16 +32,38 @@ export async function loader({ request }) {
     });
   }
 
+  // Direct requests name their shop in headers any site can send, so they are refused unless allowed
+  // for development; the app proxy route passes a storefront read from Shopify's signed query
+  if (!storefront && AppConfig.appProxy.required) {
+    return createAppProxyRequiredResponse(request);
+  }
+  storefront = storefront || getStorefrontFromHeaders(request);
+
   const url = new URL(request.url);
 
   // Handle history fetch requests - matches /chat?history=true&conversation_id=XYZ
   if (url.searchParams.has('history') && url.searchParams.has('conversation_id')) {
-    return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
+    return handleHistoryRequest(request, storefront, url.searchParams.get('conversation_id'));
+  }
+
+  // Handle requests for images attached to messages - matches /chat?image=ID&conversation_id=XYZ
+  if (url.searchParams.has('image') && url.searchParams.has('conversation_id')) {
+    return handleImageRequest(request, storefront, url.searchParams.get('conversation_id'), url.searchParams.get('image'));
+  }
+
+  // Handle past conversation list requests - matches /chat?conversations=true
+  if (url.searchParams.has('conversations')) {
+    return handleConversationListRequest(request, storefront);
+  }
+
+  // Handle stream resume requests - matches /chat?resume=true&conversation_id=XYZ with a Last-Event-ID header
+  if (url.searchParams.has('resume') && url.searchParams.has('conversation_id')) {
+    return handleResumeRequest(request, storefront, url.searchParams.get('conversation_id'));
   }
 
   // Handle SSE requests
   if (!url.searchParams.has('history') && request.headers.get("Accept") === "text/event-stream") {
-    return handleChatRequest(request);
+    return handleChatRequest(request, storefront);
   }
 
   // API-only: reject all other requests
@@ -40,57 +71,331 @@ export async function loader({ request }) {
 }
 
 /**
- * React Router action function for handling POST requests
+ * React Router action function for handling POST and DELETE requests
+ * @param {Object} args - Action arguments
+ * @param {Request} args.request - The request object
+ * @param {Object} [args.storefront] - The verified storefront, passed by the app proxy route
+ */
+export async function action({ request, storefront }) {
+  // Direct requests name their shop in headers any site can send, so they are refused unless allowed
+  // for development; the app proxy route passes a storefront read from Shopify's signed query
+  if (!storefront && AppConfig.appProxy.required) {
+    return createAppProxyRequiredResponse(request);
+  }
+  storefront = storefront || getStorefrontFromHeaders(request);
+
+  // Handle turn cancellation - matches DELETE /chat?conversation_id=XYZ
+  if (request.method === "DELETE") {
+    return handleCancelRequest(request, storefront);
+  }
+
+  const url = new URL(request.url);
+
+  // Handle tool call decisions - matches POST /chat?conversation_id=XYZ&confirmation_id=ABC
+  if (url.searchParams.has('confirmation_id')) {
+    return handleConfirmationRequest(request, storefront);
+  }
+
+  // Handle quantity changes from the cart card - matches POST /chat?cart_update=true&conversation_id=XYZ
+  if (url.searchParams.has('cart_update')) {
+    return handleCartUpdateRequest(request, storefront);
+  }
+
+  return handleChatRequest(request, storefront);
+}
+
+/**
+ * Handle requests to stop the turn running in a conversation
+ * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
+ * @returns {Promise<Response>} JSON response reporting whether a turn was cancelled
+ */
+async function handleCancelRequest(request, storefront) {
+  const conversationId = new URL(request.url).searchParams.get('conversation_id');
+
+  if (!await getOwnedConversation(conversationId, storefront) || !cancelTurn(conversationId)) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.turnNotRunning }), {
+      status: 404,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  return new Response(JSON.stringify({ cancelled: true }), { headers: getCorsHeaders(request) });
+}
+
+/**
+ * Handle the shopper's decision on a tool call waiting for confirmation
+ * @param {Request} request - The request object, with a JSON body of the form { approved: boolean }
+ * @param {Object} storefront - The storefront the request came from
+ * @returns {Promise<Response>} JSON response reporting the recorded decision
  */
-export async function action({ request }) {
-  return handleChatRequest(request);
+async function handleConfirmationRequest(request, storefront) {
+  const url = new URL(request.url);
+  const conversationId = url.searchParams.get('conversation_id');
+  const confirmationId = url.searchParams.get('confirmation_id');
+
+  if (!await getOwnedConversation(conversationId, storefront)) {
+    return createConversationNotFoundResponse(request);
+  }
+
+  let approved = false;
+  try {
+    const body = await request.json();
+    approved = body.approved === true;
+  } catch (error) {
+    // A missing or malformed body declines the call
+  }
+
+  if (!resolveConfirmation(conversationId, confirmationId, approved)) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.confirmationNotPending }), {
+      status: 404,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  return new Response(JSON.stringify({ approved }), { headers: getCorsHeaders(request) });
+}
+
+/**
+ * Handle a quantity change made in the widget's cart card, calling the storefront cart tool directly
+ * @param {Request} request - The request object, with a JSON body of the form { cart_id, line_id, quantity }
+ * @param {Object} storefront - The storefront the request came from
+ * @returns {Promise<Response>} JSON response with the updated cart
+ */
+async function handleCartUpdateRequest(request, storefront) {
+  const conversationId = new URL(request.url).searchParams.get('conversation_id');
+
+  const limitEvent = checkRateLimits({ conversationId, ip: getClientIp(request) });
+  if (limitEvent) {
+    return new Response(JSON.stringify({ error: limitEvent.error }), { status: 429, headers: getCorsHeaders(request) });
+  }
+
+  // The cart card also works before a conversation starts, but never with another shop's conversation
+  if (conversationId && !await getOwnedConversation(conversationId, storefront)) {
+    return createConversationNotFoundResponse(request);
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch (error) {
+    // Validated below
+  }
+
+  const quantity = Number(body.quantity);
+  const { shop, shopDomain, shopId } = storefront;
+  if (!shopDomain || !body.cart_id || !body.line_id || !Number.isInteger(quantity) || quantity < 0) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.invalidCartUpdate }), {
+      status: 400,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  // The merchant's tool policies apply here too, so a disabled cart tool can't be reached this way
+  const toolPolicies = shop ? await listToolPolicies(shop) : [];
+  const toolService = createToolService();
+  const mcpClient = new MCPClient(
+    shopDomain,
+    conversationId,
+    shopId,
+    null,
+    { shop, toolPolicies }
+  );
+
+  try {
+    await mcpClient.connectToStorefrontServer();
+    const toolUseResponse = toolService.normalizeToolResult(await mcpClient.callTool(AppConfig.tools.updateCartName, {
+      cart_id: body.cart_id,
+      lines: [{ line_item_id: body.line_id, quantity }]
+    }));
+    const cart = toolUseResponse.error ? null : toolService.processCartResult(toolUseResponse);
+
+    if (!cart) {
+      console.warn('Cart update failed:', toolUseResponse.error?.data);
+      return new Response(JSON.stringify({ error: AppConfig.errorMessages.cartUpdateFailed }), {
+        status: 502,
+        headers: getCorsHeaders(request)
+      });
+    }
+
+    return new Response(JSON.stringify({ cart }), { headers: getCorsHeaders(request) });
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.cartUpdateFailed }), {
+      status: 502,
+      headers: getCorsHeaders(request)
+    });
+  } finally {
+    mcpClient.disconnect().catch(() => {});
+  }
 }
 
 /**
  * Handle history fetch requests
  * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
  * @param {string} conversationId - The conversation ID
  * @returns {Response} JSON response with chat history
  */
-async function handleHistoryRequest(request, conversationId) {
+async function handleHistoryRequest(request, storefront, conversationId) {
+  if (!await getOwnedConversation(conversationId, storefront)) {
+    return createConversationNotFoundResponse(request);
+  }
+
   const messages = await getConversationHistory(conversationId);
 
   return new Response(JSON.stringify({ messages }), { headers: getCorsHeaders(request) });
 }
 
+/**
+ * Handle requests for the current customer's past conversations.
+ * The customer is only ever the logged-in shopper reported in the app proxy's signed query,
+ * never one read from a conversation the request names.
+ * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
+ * @returns {Promise<Response>} JSON response with the conversations, empty for anonymous shoppers
+ */
+async function handleConversationListRequest(request, storefront) {
+  const { shop, customerId } = storefront;
+
+  const { listLimit, previewLength } = AppConfig.conversations;
+  const conversations = shop && customerId
+    ? await listCustomerConversations(shop, customerId, { limit: listLimit })
+    : [];
+
+  return new Response(JSON.stringify({
+    conversations: conversations.map(({ id, createdAt, updatedAt, messages }) => ({
+      id,
+      created_at: createdAt,
+      updated_at: updatedAt,
+      preview: getMessageText(messages[0]?.content || '').slice(0, previewLength)
+    }))
+  }), { headers: getCorsHeaders(request) });
+}
+
+/**
+ * Handle requests for an image the shopper attached to a message in the conversation
+ * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
+ * @param {string} conversationId - The conversation ID
+ * @param {string} imageId - The image ID
+ * @returns {Promise<Response>} The image, or 404 when the conversation has no such image
+ */
+async function handleImageRequest(request, storefront, conversationId, imageId) {
+  const [image] = await getOwnedConversation(conversationId, storefront)
+    ? await getMessageImages(conversationId, [imageId])
+    : [];
+
+  if (!image) {
+    return new Response(null, { status: 404, headers: getCorsHeaders(request) });
+  }
+
+  return new Response(image.data, {
+    headers: {
+      ...getCorsHeaders(request),
+      "Content-Type": image.mimeType,
+      "Cache-Control": "private, max-age=86400"
+    }
+  });
+}
+
+/**
+ * Handle stream resume requests by replaying the events the client missed
+ * and following the rest of the turn
+ * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Response>} Server-sent events stream, or 404 when the turn can no longer be resumed
+ */
+async function handleResumeRequest(request, storefront, conversationId) {
+  if (!await getOwnedConversation(conversationId, storefront)) {
+    return createConversationNotFoundResponse(request);
+  }
+
+  const lastEventId = parseInt(request.headers.get("Last-Event-ID"), 10);
+  const turnBuffer = getTurnBuffer(conversationId);
+
+  if (Number.isNaN(lastEventId) || !turnBuffer || !turnBuffer.covers(lastEventId)) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.streamNotResumable }), {
+      status: 404,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  return new Response(createResumeStream(turnBuffer, lastEventId), {
+    headers: getSseHeaders(request)
+  });
+}
+
 /**
  * Handle chat requests (both GET and POST)
  * @param {Request} request - The request object
+ * @param {Object} storefront - The storefront the request came from
  * @returns {Response} Server-sent events stream
  */
-async function handleChatRequest(request) {
+async function handleChatRequest(request, storefront) {
   try {
+    // Chat needs a shop to bill its tokens to, so requests without one are refused
+    const { shop } = storefront;
+    if (!shop) {
+      return createAppProxyRequiredResponse(request);
+    }
+
+    // Enforce the limits that don't need the body before reading it, since it may carry large images
+    const ip = getClientIp(request);
+    const limitEvent = checkIpRateLimit(ip) || await checkDailyTokenCap(shop, await getDailyTokenCap(shop));
+    if (limitEvent) {
+      return createLimitResponse(request, limitEvent);
+    }
+
     // Get message data from request body
-    const body = await request.json();
-    const userMessage = body.message;
+    const body = await readJsonBody(request, AppConfig.limits.maxRequestBytes);
+    if (!body) {
+      return new Response(JSON.stringify({ error: AppConfig.errorMessages.requestTooLarge }), {
+        status: 413,
+        headers: getCorsHeaders(request)
+      });
+    }
 
-    // Validate required message
-    if (!userMessage) {
+    const conversationLimitEvent = checkConversationRateLimit({ conversationId: body.conversation_id, ip });
+    if (conversationLimitEvent) {
+      return createLimitResponse(request, conversationLimitEvent);
+    }
+
+    const userMessage = body.message || '';
+    const { images, error: imageError } = parseImageUploads(body.images ?? []);
+
+    // Validate required message; a message may be just images
+    if (imageError || (!userMessage && images.length === 0)) {
       return new Response(
-        JSON.stringify({ error: AppConfig.errorMessages.missingMessage }),
+        JSON.stringify({ error: imageError || AppConfig.errorMessages.missingMessage }),
         { status: 400, headers: getSseHeaders(request) }
       );
     }
 
-    // Generate or use existing conversation ID
-    const conversationId = body.conversation_id || Date.now().toString();
+    // Continue one of this storefront's conversations, or start a new one with an unguessable ID
+    if (body.conversation_id && !await getOwnedConversation(body.conversation_id, storefront)) {
+      return createConversationNotFoundResponse(request);
+    }
+    const conversationId = body.conversation_id || randomBytes(16).toString('hex');
+
+    // Attribute the conversation to the shop and logged-in customer before the turn starts,
+    // so requests for it are recognized as the storefront's while the turn runs
+    await createOrUpdateConversation(conversationId, shop, storefront.customerId);
+
     const promptType = body.prompt_type || AppConfig.api.defaultPromptType;
 
     // Create a stream for the response
     const responseStream = createSseStream(async (stream) => {
       await handleChatSession({
-        request,
         userMessage,
+        images,
         conversationId,
         promptType,
+        storefront,
         stream
       });
-    });
+    }, { conversationId });
 
     return new Response(responseStream, {
       headers: getSseHeaders(request)
@@ -107,166 +412,233 @@ async function handleChatRequest(request) {
 /**
  * Handle a complete chat session
  * @param {Object} params - Session parameters
- * @param {Request} params.request - The request object
  * @param {string} params.userMessage - The user's message
+ * @param {Array<Object>} params.images - Images attached to the message
  * @param {string} params.conversationId - The conversation ID
  * @param {string} params.promptType - The prompt type
+ * @param {Object} params.storefront - The storefront the request came from
  * @param {Object} params.stream - Stream manager for sending responses
  */
 async function handleChatSession({
-  request,
   userMessage,
+  images,
   conversationId,
   promptType,
+  storefront,
   stream
 }) {
-  // Initialize services based on provider selection
-  const provider = AppConfig.api.provider || 'claude';
-  const llmService = provider === 'openai' 
-    ? createOpenAIService() 
-    : createClaudeService();
+  const { shop, shopDomain, shopId } = storefront;
+
+  // Initialize services based on the shop's provider settings
+  const llmSettings = await getLlmSettings(shop);
+  const llmService = createLlmService(llmSettings);
   const toolService = createToolService();
 
   // Initialize MCP client
-  const shopId = request.headers.get("X-Shopify-Shop-Id");
-  const shopDomain = request.headers.get("Origin");
   const { mcpApiUrl } = await getCustomerAccountUrls(shopDomain, conversationId);
 
+  // Aborted when the shopper stops the turn or disconnects without resuming
+  const { signal } = stream;
+
+  // The merchant's tool policies decide which tools the model sees and may call
+  const toolPolicies = shop ? await listToolPolicies(shop) : [];
+
   const mcpClient = new MCPClient(
     shopDomain,
     conversationId,
     shopId,
     mcpApiUrl,
+    { signal, shop, toolPolicies }
   );
 
   try {
     // Send conversation ID to client
     stream.sendMessage({ type: 'id', conversation_id: conversationId });
 
-    // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [], customerMcpTools = [];
-
-    try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      customerMcpTools = await mcpClient.connectToCustomerServer();
-
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
-      console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
-    } catch (error) {
-      console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
-    }
+    // Connect to the storefront, customer and shop's own MCP servers; unreachable servers are skipped
+    const customServers = shop ? await listMcpServers(shop, { enabledOnly: true }) : [];
+    await mcpClient.connect(customServers);
+    console.log(`Connected to MCP with ${mcpClient.storefrontTools.length} storefront, ${mcpClient.customerTools.length} customer and ${mcpClient.customServerTools.size} shop server tools`);
 
     // Prepare conversation state
-    let conversationHistory = [];
     let productsToDisplay = [];
 
     // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
+    await saveMessage(conversationId, 'user', buildUserMessageContent(userMessage, images), { images });
 
     // Fetch all messages from the database for this conversation
     const dbMessages = await getConversationHistory(conversationId);
 
-    // Format messages for Claude API
-    conversationHistory = dbMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
-      }
-      return {
-        role: dbMessage.role,
-        content
-      };
+    // Fit the history into the context window, summarizing older turns when needed
+    const { messages: conversationHistory, summary } = await prepareConversationContext({
+      conversationId,
+      dbMessages,
+      llmService,
+      shop,
+      signal
     });
 
-    // Execute the conversation stream
-    let finalMessage = { role: 'user', content: userMessage };
-
-    while (finalMessage.stop_reason !== "end_turn") {
-      finalMessage = await llmService.streamConversation(
-        {
-          messages: conversationHistory,
-          promptType,
-          tools: mcpClient.tools
+    // Run the model and tool loop for this turn, bounded by step and time limits
+    const { stopReason } = await runAgentLoop({
+      llmService,
+      conversationId,
+      params: {
+        messages: conversationHistory,
+        promptType,
+        tools: mcpClient.tools,
+        shop,
+        signal,
+        systemNotes: [
+          summary && `Summary of the earlier conversation with this customer:\n${summary}`,
+          mcpClient.unavailableServers.length > 0 &&
+            `These tool sources are temporarily unavailable, so their tools can't be used right now: ${mcpClient.unavailableServers.join(', ')}. If the customer asks for something that needs them, say so and suggest trying again later.`
+        ].filter(Boolean)
+      },
+      streamHandlers: {
+        // Handle text chunks
+        onText: (textDelta) => {
+          stream.sendMessage({
+            type: 'chunk',
+            chunk: textDelta
+          });
         },
-        {
-          // Handle text chunks
-          onText: (textDelta) => {
-            stream.sendMessage({
-              type: 'chunk',
-              chunk: textDelta
-            });
-          },
 
-          // Handle complete messages
-          onMessage: (message) => {
-            conversationHistory.push({
-              role: message.role,
-              content: message.content
+        // Handle complete messages
+        onMessage: (message) => {
+          conversationHistory.push({
+            role: message.role,
+            content: message.content
+          });
+
+          // Only the shopper stopping the response counts; a turn that ran out of time stops with 'timeout'
+          const cancelled = message.stop_reason === 'cancelled';
+          saveMessage(conversationId, message.role, JSON.stringify(message.content), { ...getMessageUsage(message), cancelled })
+            .catch((error) => {
+              console.error("Error saving message to database:", error);
             });
 
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
-              .catch((error) => {
-                console.error("Error saving message to database:", error);
-              });
+          // Send a completion message, recording which provider answered
+          stream.sendMessage({ type: 'message_complete', provider: message.provider });
+        },
+
+        // Handle failover to the next provider in the chain
+        onProviderFallback: ({ from, to }) => {
+          stream.sendMessage({ type: 'provider_fallback', from, to });
+        },
 
-            // Send a completion message
-            stream.sendMessage({ type: 'message_complete' });
-          },
+        // Handle tool use requests; calls from the same response may run concurrently,
+        // and stop when the turn is cancelled or runs out of time
+        onToolUse: async (content, { signal: callSignal = signal } = {}) => {
+          const toolName = content.name;
+          const toolArgs = content.input;
 
-          // Handle tool use requests
-          onToolUse: async (content) => {
-            const toolName = content.name;
-            const toolArgs = content.input;
-            const toolUseId = content.id;
+          const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
 
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
+          stream.sendMessage({
+            type: 'tool_use',
+            tool_use_message: toolUseMessage
+          });
 
+          // Pause this call until the shopper approves it, when the merchant requires that
+          if (mcpClient.requiresConfirmation(toolName)) {
+            const confirmationId = content.id;
             stream.sendMessage({
-              type: 'tool_use',
-              tool_use_message: toolUseMessage
+              type: 'tool_confirmation_required',
+              confirmation_id: confirmationId,
+              tool_name: toolName,
+              summary: describeToolCall(toolName, toolArgs)
             });
 
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
-
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              await toolService.handleToolError(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
-              );
-            } else {
-              await toolService.handleToolSuccess(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                productsToDisplay,
-                conversationId
-              );
+            const { approved, reason } = await waitForConfirmation({ conversationId, confirmationId, signal: callSignal });
+            stream.sendMessage({ type: 'tool_confirmation_resolved', confirmation_id: confirmationId, approved });
+
+            if (!approved) {
+              return {
+                error: {
+                  type: 'declined',
+                  data: reason === 'timeout'
+                    ? `The customer didn't confirm ${toolName} in time, so it was not run. Ask before trying again.`
+                    : `The customer declined ${toolName}, so it was not run. Don't retry it unless they ask.`
+                }
+              };
             }
+          }
 
-            // Signal new message to client
-            stream.sendMessage({ type: 'new_message' });
-          },
+          // Call the tool, recording an interrupted call as an error so every tool_use keeps a tool_result
+          try {
+            return await mcpClient.callTool(toolName, toolArgs, { signal: callSignal });
+          } catch (error) {
+            if (!callSignal?.aborted) throw error;
+            return { error: { type: 'cancelled', data: `Tool ${toolName} was stopped before it finished` } };
+          }
+        },
 
-          // Handle content block completion
-          onContentBlock: (contentBlock) => {
-            if (contentBlock.type === 'text') {
+        // Handle tool results, in the order the tools were requested
+        onToolResult: async (content, rawToolUseResponse) => {
+          const toolName = content.name;
+          const toolUseId = content.id;
+          const toolUseResponse = toolService.normalizeToolResult(rawToolUseResponse);
+
+          // Handle tool response based on success/error
+          if (toolUseResponse.error) {
+            await toolService.handleToolError(
+              toolUseResponse,
+              toolName,
+              toolUseId,
+              conversationHistory,
+              stream.sendMessage,
+              conversationId
+            );
+          } else {
+            await toolService.handleToolSuccess(
+              toolUseResponse,
+              toolName,
+              toolUseId,
+              conversationHistory,
+              productsToDisplay,
+              conversationId,
+              stream.sendMessage
+            );
+
+            // Show images and resource links from the result to the customer
+            if (toolUseResponse.media.length > 0) {
               stream.sendMessage({
-                type: 'content_block_complete',
-                content_block: contentBlock
+                type: 'tool_media',
+                tool_name: toolName,
+                media: toolUseResponse.media
               });
             }
           }
+
+          // Signal new message to client
+          stream.sendMessage({ type: 'new_message' });
+        },
+
+        // Handle content block completion
+        onContentBlock: (contentBlock) => {
+          if (contentBlock.type === 'text') {
+            stream.sendMessage({
+              type: 'content_block_complete',
+              content_block: contentBlock
+            });
+          }
         }
-      );
+      }
+    });
+
+    if (stopReason === 'cancelled') {
+      stream.sendMessage({ type: 'turn_cancelled' });
+    }
+
+    // When a limit cut the turn short, close it with an explanation so the history ends on an assistant message
+    const stoppedMessage = AppConfig.errorMessages.agentStopped[stopReason];
+    if (stoppedMessage) {
+      const content = [{ type: 'text', text: stoppedMessage }];
+      conversationHistory.push({ role: 'assistant', content });
+      await saveMessage(conversationId, 'assistant', JSON.stringify(content));
+
+      stream.sendMessage({ type: 'chunk', chunk: stoppedMessage });
+      stream.sendMessage({ type: 'message_complete' });
     }
 
     // Signal end of turn
@@ -282,6 +654,11 @@ async function handleChatSession({
   } catch (error) {
     // The streaming handler takes care of error handling
     throw error;
+  } finally {
+    // End the turn's MCP sessions without holding up the response
+    mcpClient.disconnect().catch((error) => {
+      console.warn('Error closing MCP sessions:', error.message);
+    });
   }
 }
 
@@ -329,6 +706,153 @@ async function getCustomerAccountUrls(shopDomain, conversationId) {
   }
 }
 
+/**
+ * Create an SSE response carrying a single limit_exceeded event
+ * @param {Request} request - The request object
+ * @param {Object} limitEvent - The limit_exceeded event payload
+ * @returns {Response} Server-sent events response with status 429
+ */
+function createLimitResponse(request, limitEvent) {
+  const responseStream = createSseStream(async (stream) => {
+    stream.sendMessage(limitEvent);
+  });
+
+  return new Response(responseStream, {
+    status: 429,
+    headers: {
+      ...getSseHeaders(request),
+      ...(limitEvent.retry_after ? { "Retry-After": String(limitEvent.retry_after) } : {})
+    }
+  });
+}
+
+/**
+ * Read a JSON request body, refusing it once it grows past a size limit rather than buffering all of it
+ * @param {Request} request - The request object
+ * @param {number} maxBytes - Largest body accepted, 0 for no limit
+ * @returns {Promise<Object|null>} The parsed body, or null when it is over the limit
+ * @throws {SyntaxError} When the body isn't valid JSON
+ */
+async function readJsonBody(request, maxBytes) {
+  if (!maxBytes) return request.json();
+  if (Number(request.headers.get("Content-Length")) > maxBytes) return null;
+
+  const decoder = new TextDecoder();
+  let text = '';
+  let size = 0;
+
+  if (request.body) {
+    const reader = request.body.getReader();
+    let { value, done } = await reader.read();
+
+    while (!done) {
+      size += value.byteLength;
+      if (size > maxBytes) {
+        reader.cancel().catch(() => {});
+        return null;
+      }
+      text += decoder.decode(value, { stream: true });
+      ({ value, done } = await reader.read());
+    }
+  }
+
+  return JSON.parse(text + decoder.decode());
+}
+
+/**
+ * Get the text of a stored message, which is plain text or JSON content blocks
+ * @param {string} content - The stored content
+ * @returns {string} The text of the message's text blocks
+ */
+function getMessageText(content) {
+  try {
+    const blocks = JSON.parse(content);
+    if (Array.isArray(blocks)) {
+      return blocks.filter((block) => block.type === 'text').map((block) => block.text).join(' ');
+    }
+  } catch (error) {
+    // Plain text
+  }
+  return content;
+}
+
+/**
+ * Get a conversation, provided it belongs to the storefront making the request.
+ * A conversation linked to a customer is also withheld from a different logged-in customer.
+ * @param {string|null} conversationId - The conversation ID
+ * @param {Object} storefront - The storefront the request came from
+ * @returns {Promise<Object|null>} The conversation, or null when it doesn't exist or isn't the storefront's
+ */
+async function getOwnedConversation(conversationId, storefront) {
+  const conversation = conversationId ? await getConversation(conversationId) : null;
+  if (!conversation || !storefront.shop || conversation.shop !== storefront.shop) return null;
+
+  if (conversation.customerId && storefront.customerId && conversation.customerId !== storefront.customerId) {
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * Create the response for a conversation that doesn't exist or belongs to another storefront
+ * @param {Request} request - The request object
+ * @returns {Response} JSON response with status 404
+ */
+function createConversationNotFoundResponse(request) {
+  return new Response(JSON.stringify({ error: AppConfig.errorMessages.conversationNotFound }), {
+    status: 404,
+    headers: getCorsHeaders(request)
+  });
+}
+
+/**
+ * Create the response refusing direct requests while chat must go through the app proxy
+ * @param {Request} request - The request object
+ * @returns {Response} JSON response with status 403
+ */
+function createAppProxyRequiredResponse(request) {
+  return new Response(JSON.stringify({ error: AppConfig.errorMessages.appProxyRequired }), {
+    status: 403,
+    headers: getCorsHeaders(request)
+  });
+}
+
+/**
+ * Get the storefront for a direct request from the headers the widget sends.
+ * Any site can send these headers, which is why the app proxy route is preferred.
+ * @param {Request} request - The request object
+ * @returns {Object} The storefront: shop, shopDomain, shopId and customerId
+ */
+function getStorefrontFromHeaders(request) {
+  return {
+    shop: getShopFromRequest(request),
+    shopDomain: request.headers.get("Origin"),
+    shopId: request.headers.get("X-Shopify-Shop-Id"),
+    customerId: null
+  };
+}
+
+/**
+ * Get the shop's myshopify domain for the request
+ * Prefers the permanent domain sent by the widget and falls back to the Origin hostname
+ * @param {Request} request - The request object
+ * @returns {string|null} The shop domain
+ */
+function getShopFromRequest(request) {
+  const shopHeader = request.headers.get("X-Shopify-Shop-Domain");
+  if (shopHeader) return shopHeader;
+
+  const origin = request.headers.get("Origin");
+  if (!origin) return null;
+
+  try {
+    return new URL(origin).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Gets CORS headers for the response
  * @param {Request} request - The request object
@@ -340,7 +864,7 @@ function getCorsHeaders(request) {
 
   return {
     "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
     "Access-Control-Allow-Headers": requestHeaders,
     "Access-Control-Allow-Credentials": "true",
     "Access-Control-Max-Age": "86400" // 24 hours
@@ -0,0 +1,91 @@
+/**
+ * Agent Service
+ * Runs the model/tool loop for a single chat turn within step and time limits
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Checks whether a message asks for tools to be called
+ * @param {Object} message - Claude-style message
+ * @returns {boolean} True when the message contains tool_use blocks
+ */
+function hasToolUse(message) {
+  return Array.isArray(message?.content) &&
+    message.content.some((contentBlock) => contentBlock.type === "tool_use");
+}
+
+/**
+ * Runs the agent loop for one turn: streams a model response, lets the tool handlers
+ * append tool results to the conversation, and repeats until the model stops asking
+ * for tools. Whether to continue is decided by the presence of tool_use blocks rather
+ * than the stop reason, so a max_tokens or missing stop reason always ends the turn.
+ * @param {Object} options - Loop options
+ * @param {Object} options.llmService - LLM service exposing streamConversation
+ * @param {Object} options.params - Stream parameters; params.messages is extended by the handlers between steps,
+ *   and an aborted params.signal cancels the turn. The model and tool calls get params.signal combined with the time budget,
+ *   so a long response or tool call is stopped when the budget runs out
+ * @param {Object} options.streamHandlers - Stream event handlers passed to each step
+ * @param {number} [options.maxSteps] - Maximum model calls in the turn
+ * @param {number} [options.timeoutMs] - Wall-clock budget for the turn, 0 disables it
+ * @param {string} [options.conversationId] - The conversation ID, used for logging
+ * @returns {Promise<{finalMessage: Object|null, stopReason: string, steps: number}>} The last model message,
+ *   why the loop stopped (end_turn, max_tokens, max_steps, timeout or cancelled) and how many steps ran
+ */
+export async function runAgentLoop({
+  llmService,
+  params,
+  streamHandlers,
+  maxSteps = AppConfig.limits.maxToolIterations,
+  timeoutMs = AppConfig.limits.turnTimeoutMs,
+  conversationId
+}) {
+  const startedAt = Date.now();
+  let finalMessage = null;
+  let steps = 0;
+
+  const signal = timeoutMs
+    ? AbortSignal.any([params.signal, AbortSignal.timeout(timeoutMs)].filter(Boolean))
+    : params.signal;
+  const stepParams = { ...params, signal };
+
+  // Distinguishes the shopper stopping the turn from the time budget running out
+  const stop = () => {
+    if (params.signal?.aborted) {
+      console.log(`Agent loop for conversation ${conversationId} cancelled after ${steps} steps (${params.signal.reason})`);
+      return { finalMessage, stopReason: "cancelled", steps };
+    }
+
+    console.warn(`Agent loop for conversation ${conversationId} stopped after ${Date.now() - startedAt}ms and ${steps} steps (timeout ${timeoutMs}ms)`);
+    return { finalMessage, stopReason: "timeout", steps };
+  };
+
+  while (steps < maxSteps) {
+    if (signal?.aborted) return stop();
+
+    steps++;
+    try {
+      finalMessage = await llmService.streamConversation(stepParams, streamHandlers);
+    } catch (error) {
+      // Tool calls interrupted by the abort can surface as errors; the turn is over either way
+      if (signal?.aborted) return stop();
+      throw error;
+    }
+
+    if (signal?.aborted) return stop();
+
+    if (!hasToolUse(finalMessage)) {
+      const stopReason = finalMessage.stop_reason || "end_turn";
+      if (stopReason !== "end_turn") {
+        console.warn(`Agent loop for conversation ${conversationId} ended with stop reason ${finalMessage.stop_reason}`);
+      }
+      return { finalMessage, stopReason, steps };
+    }
+  }
+
+  console.warn(`Agent loop for conversation ${conversationId} stopped after reaching the limit of ${maxSteps} steps`);
+  return { finalMessage, stopReason: "max_steps", steps };
+}
+
+export default {
+  runAgentLoop
+};
@@ -0,0 +1,34 @@
+/**
+ * App Proxy Service
+ * Identifies the storefront behind a chat request forwarded by Shopify's app proxy.
+ *
+ * Shopify signs the query of every proxied request, so the shop and logged-in customer
+ * read from it can be trusted, unlike the Origin and shop headers of direct requests.
+ */
+import { authenticate } from "../shopify.server";
+
+/**
+ * Verifies an app proxy request's signature and reads the storefront it came from
+ * @param {Request} request - The proxied request
+ * @returns {Promise<Object>} The storefront: shop, shopDomain, shopId and customerId
+ * @throws {Response} 400 response when the request isn't signed by Shopify
+ */
+export async function authenticateAppProxy(request) {
+  await authenticate.public.appProxy(request);
+
+  const { searchParams } = new URL(request.url);
+  const shop = searchParams.get("shop");
+
+  return {
+    shop,
+    shopDomain: `https://${shop}`,
+    // Only tags the customer login state, so the widget's header is good enough here
+    shopId: request.headers.get("X-Shopify-Shop-Id"),
+    // Empty when the shopper isn't logged in to their customer account
+    customerId: searchParams.get("logged_in_customer_id") || null
+  };
+}
+
+export default {
+  authenticateAppProxy
+};
@@ -0,0 +1,67 @@
+/**
+ * Circuit Breaker Service
+ * Tracks failing MCP endpoints so requests to them fail fast instead of waiting for timeouts.
+ *
+ * After enough consecutive failures an endpoint's circuit opens and requests are refused
+ * for a cooldown period. The first request after the cooldown is let through as a trial:
+ * success closes the circuit, failure opens it again. A trial that never reports back
+ * holds the circuit open for one more cooldown.
+ */
+import AppConfig from "./config.server";
+
+// Circuit state by endpoint URL
+const circuits = new Map();
+
+/**
+ * Checks whether requests to an endpoint should be refused.
+ * Once the cooldown has passed, one trial request is allowed through.
+ * @param {string} endpoint - The endpoint URL
+ * @returns {boolean} True while the endpoint's circuit is open
+ */
+export function isCircuitOpen(endpoint) {
+  const circuit = circuits.get(endpoint);
+  if (!circuit?.openedUntil) return false;
+  if (Date.now() < circuit.openedUntil) return true;
+
+  circuit.openedUntil = Date.now() + AppConfig.mcp.circuitBreaker.cooldownMs;
+  circuit.trial = true;
+  return false;
+}
+
+/**
+ * Records a successful request, closing the endpoint's circuit
+ * @param {string} endpoint - The endpoint URL
+ */
+export function recordSuccess(endpoint) {
+  const circuit = circuits.get(endpoint);
+  if (circuit?.openedUntil) {
+    console.log(`MCP endpoint ${endpoint} recovered, closing its circuit`);
+  }
+  circuits.delete(endpoint);
+}
+
+/**
+ * Records a failed request, opening the endpoint's circuit after too many consecutive failures
+ * @param {string} endpoint - The endpoint URL
+ */
+export function recordFailure(endpoint) {
+  const { failureThreshold, cooldownMs } = AppConfig.mcp.circuitBreaker;
+  if (!failureThreshold) return;
+
+  const circuit = circuits.get(endpoint) || { failures: 0, openedUntil: 0, trial: false };
+  circuit.failures++;
+
+  if (circuit.trial || circuit.failures >= failureThreshold) {
+    console.warn(`MCP endpoint ${endpoint} failed ${circuit.failures} times in a row, skipping it for ${cooldownMs}ms`);
+    circuit.openedUntil = Date.now() + cooldownMs;
+    circuit.trial = false;
+  }
+
+  circuits.set(endpoint, circuit);
+}
+
+export default {
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure
+};
@@ -5,12 +5,16 @@
 
 export const AppConfig = {
   // API Configuration
+  // These are process-wide defaults; shops can override them from the admin settings page
   api: {
     defaultModel: process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307',
-    openaiModel: 'gpt-4o',
-    maxTokens: 2000,
+    openaiModel: process.env.OPENAI_MODEL || 'gpt-4o',
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 2000,
     defaultPromptType: 'standardAssistant',
-    provider: process.env.LLM_PROVIDER || 'claude', // 'claude' or 'openai'
+    provider: process.env.LLM_PROVIDER || 'claude', // Any provider registered in providers.server.js
+    fallbackProviders: parseList(process.env.LLM_FALLBACK_PROVIDERS), // e.g. 'openai' to fall back from Claude to OpenAI
+    compatibleBaseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || '',
+    compatibleModel: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
   },
 
   // Error Message Templates
@@ -21,14 +25,177 @@ export const AppConfig = {
     apiKeyError: "Please check your API key in environment variables",
     rateLimitExceeded: "Rate limit exceeded",
     rateLimitDetails: "Please try again later",
-    genericError: "Failed to get response from LLM"
+    genericError: "Failed to get response from LLM",
+    streamNotResumable: "This response can no longer be resumed",
+    turnNotRunning: "There is no response in progress for this conversation",
+    confirmationNotPending: "This action is no longer waiting for a decision",
+    invalidCartUpdate: "A cart ID, line ID and whole-number quantity are required",
+    cartUpdateFailed: "The cart couldn't be updated",
+    appProxyRequired: "Chat requests must be sent through the store's app proxy",
+    conversationNotFound: "This conversation doesn't exist or belongs to another store",
+    requestTooLarge: "This message is too large to send",
+    invalidImage: "Images must be JPEG, PNG, GIF or WebP files of at most 5 MB",
+    tooManyImages: "Too many images attached to one message",
+    limitExceeded: {
+      ip_rate: "Too many requests from this device",
+      conversation_rate: "Too many messages in this conversation",
+      daily_token_cap: "This store's assistant has reached its daily limit"
+    },
+    // Shown to the shopper when the agent loop stops a turn early, keyed by stop reason
+    agentStopped: {
+      max_steps: "Sorry, I wasn't able to finish that request. Could you try asking in a more specific way?",
+      timeout: "Sorry, that took longer than expected. Please try again in a moment."
+    }
+  },
+
+  // Abuse and spend limits for the chat endpoint (0 disables a limit)
+  // Shops can override the daily token cap from the admin settings page
+  limits: {
+    requestsPerMinutePerConversation: parseLimit(process.env.CHAT_RATE_LIMIT_PER_CONVERSATION, 10),
+    requestsPerMinutePerIp: parseLimit(process.env.CHAT_RATE_LIMIT_PER_IP, 30),
+    dailyTokenCapPerShop: parseLimit(process.env.CHAT_DAILY_TOKEN_CAP, 0),
+    // Proxies in front of the app that append to X-Forwarded-For, which decides where the client IP is read
+    trustedProxyHops: parseLimit(process.env.CHAT_TRUSTED_PROXY_HOPS, 1),
+    // The agent loop is always bounded, so a step limit of 0 falls back to the default
+    maxToolIterations: parseInt(process.env.CHAT_MAX_TOOL_ITERATIONS, 10) || 10,
+    turnTimeoutMs: parseLimit(process.env.CHAT_TURN_TIMEOUT_MS, 120000),
+    // Largest chat request body, with room for three base64-encoded 5 MB images and the message
+    maxRequestBytes: parseLimit(process.env.CHAT_MAX_REQUEST_BYTES, 21 * 1024 * 1024)
+  },
+
+  // Model prices in USD per million tokens, used to estimate usage costs.
+  // Models are matched by longest prefix, so dated model versions share a price.
+  // Override or extend with LLM_PRICE_TABLE, e.g. '{"gpt-4o": {"input": 2.5, "output": 10}}'
+  pricing: {
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    ...parseJson(process.env.LLM_PRICE_TABLE)
+  },
+
+  // Conversation history sent to the model, in estimated tokens
+  context: {
+    // History above this size has its oldest turns summarized (0 disables summarization)
+    maxHistoryTokens: parseLimit(process.env.CHAT_MAX_HISTORY_TOKENS, 24000),
+    // Recent history kept verbatim when older turns are summarized
+    recentHistoryTokens: 8000,
+    // Turns whose tool results are kept; older tool results are elided
+    recentToolResultTurns: 2,
+    // Longest tool result kept in the history
+    maxToolResultTokens: 4000
+  },
+
+  // Shopify app proxy that serves the chat API from the storefront's own domain
+  appProxy: {
+    // Refuse direct /chat requests, whose shop comes from headers any site can send.
+    // Set CHAT_ALLOW_DIRECT_REQUESTS=true to accept them while developing against localhost.
+    required: process.env.CHAT_ALLOW_DIRECT_REQUESTS !== 'true'
+  },
+
+  // Images shoppers attach to their messages
+  images: {
+    maxPerMessage: 3,
+    maxBytes: 5 * 1024 * 1024,
+    // Turns whose images are sent to the model; older images are replaced with a note
+    recentTurns: 2
+  },
+
+  // Past conversations listed for a logged-in customer
+  conversations: {
+    listLimit: 20,
+    // Characters of each conversation's first message shown in the list
+    previewLength: 80
+  },
+
+  // Streaming Configuration
+  streaming: {
+    // How long a finished turn's events stay available for Last-Event-ID replay
+    replayWindowMs: 60 * 1000,
+    // How long a turn keeps running after its client disconnects, waiting for it to resume
+    disconnectGraceMs: 15 * 1000
+  },
+
+  // MCP request handling (0 disables a timeout or the circuit breaker)
+  mcp: {
+    // Time allowed for handshakes and tool listing
+    requestTimeoutMs: parseLimit(process.env.MCP_REQUEST_TIMEOUT_MS, 10 * 1000),
+    // Time allowed for a tool call, which may do real work on the server
+    toolCallTimeoutMs: parseLimit(process.env.MCP_TOOL_CALL_TIMEOUT_MS, 30 * 1000),
+    // Retries for idempotent methods after timeouts, network errors and 5xx or 429 responses
+    maxRetries: parseLimit(process.env.MCP_MAX_RETRIES, 2),
+    retryBaseDelayMs: 500,
+    circuitBreaker: {
+      // Consecutive failures that make an endpoint be skipped
+      failureThreshold: parseLimit(process.env.MCP_CIRCUIT_FAILURE_THRESHOLD, 3),
+      cooldownMs: parseLimit(process.env.MCP_CIRCUIT_COOLDOWN_MS, 30 * 1000)
+    }
   },
 
   // Tool Configuration
   tools: {
     productSearchName: "search_shop_catalog",
-    maxProductsToDisplay: 3
+    maxProductsToDisplay: 3,
+    // Storefront tools whose results are shown to the customer as a cart
+    cartToolNames: ["get_cart", "update_cart"],
+    updateCartName: "update_cart",
+    // Customer account tools whose results are shown to the customer as an order card
+    orderToolNames: ["get_most_recent_order_status", "get_order_status"],
+    // Largest image from a tool result that is passed on to the chat widget
+    maxMediaBytes: 1024 * 1024,
+    // Tool calls from one model response that may run at the same time (0 for no limit)
+    maxConcurrentToolCalls: parseLimit(process.env.CHAT_MAX_CONCURRENT_TOOL_CALLS, 4),
+    // How long a shop's MCP tool lists are reused before listing again (0 disables the cache)
+    listCacheTtlMs: parseLimit(process.env.CHAT_TOOL_LIST_CACHE_TTL_MS, 5 * 60 * 1000),
+    // How long a tool call that needs the shopper's approval waits before it is declined (0 waits for the turn)
+    confirmationTimeoutMs: parseLimit(process.env.CHAT_TOOL_CONFIRMATION_TIMEOUT_MS, 60 * 1000)
   }
 };
 
+/**
+ * Parses a comma-separated list
+ * @param {string} value - Comma-separated values
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+export function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses a numeric limit, keeping an explicit 0 so that limits can be disabled
+ * @param {string} value - Limit text
+ * @param {number} defaultValue - Limit used when the value is missing or invalid
+ * @returns {number} The parsed limit
+ */
+function parseLimit(value, defaultValue) {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) || limit < 0 ? defaultValue : limit;
+}
+
+/**
+ * Parses a JSON object from an environment variable
+ * @param {string} value - JSON text
+ * @returns {Object} The parsed object, or an empty object when missing or invalid
+ */
+function parseJson(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid JSON configuration value:', error.message);
+    return {};
+  }
+}
+
 export default AppConfig;
@@ -0,0 +1,94 @@
+/**
+ * Confirmation Service
+ * Pauses tool calls that need the shopper's approval until the shopper decides.
+ *
+ * A pending confirmation is declined when the shopper doesn't decide in time, and
+ * settled as declined when its turn is aborted, so the tool never runs unapproved.
+ */
+import AppConfig from "./config.server";
+import { TOOL_NAMESPACE_SEPARATOR } from "../mcp-client";
+
+// Tool calls waiting for the shopper's decision, by confirmation ID
+const pendingConfirmations = new Map();
+
+/**
+ * Waits for the shopper to approve or decline a tool call
+ * @param {Object} options - Confirmation options
+ * @param {string} options.conversationId - The conversation the tool call belongs to
+ * @param {string} options.confirmationId - Unique ID the shopper's decision refers to, e.g. the tool_use ID
+ * @param {AbortSignal} [options.signal] - The turn's signal; aborting it declines the call
+ * @param {number} [options.timeoutMs] - How long to wait for a decision, 0 to wait until the turn ends
+ * @returns {Promise<{approved: boolean, reason: string}>} The decision and why it was made
+ *   (shopper, timeout or cancelled)
+ */
+export function waitForConfirmation({
+  conversationId,
+  confirmationId,
+  signal,
+  timeoutMs = AppConfig.tools.confirmationTimeoutMs
+}) {
+  if (signal?.aborted) {
+    return Promise.resolve({ approved: false, reason: "cancelled" });
+  }
+
+  return new Promise((resolve) => {
+    let timer = null;
+
+    const settle = (decision) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      pendingConfirmations.delete(confirmationId);
+      resolve(decision);
+    };
+    const onAbort = () => settle({ approved: false, reason: "cancelled" });
+
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        console.log(`Tool confirmation ${confirmationId} for conversation ${conversationId} timed out`);
+        settle({ approved: false, reason: "timeout" });
+      }, timeoutMs);
+    }
+    signal?.addEventListener("abort", onAbort);
+
+    pendingConfirmations.set(confirmationId, { conversationId, settle });
+  });
+}
+
+/**
+ * Records the shopper's decision on a pending tool call
+ * @param {string} conversationId - The conversation the tool call belongs to
+ * @param {string} confirmationId - The confirmation ID
+ * @param {boolean} approved - Whether the shopper approved the call
+ * @returns {boolean} True when a matching confirmation was waiting for a decision
+ */
+export function resolveConfirmation(conversationId, confirmationId, approved) {
+  const pending = pendingConfirmations.get(confirmationId);
+  if (!pending || pending.conversationId !== conversationId) return false;
+
+  pending.settle({ approved, reason: "shopper" });
+  return true;
+}
+
+/**
+ * Describes a tool call for the shopper
+ * @param {string} toolName - The tool name as offered to the LLM
+ * @param {Object} toolArgs - The arguments the model passed
+ * @returns {string} A short, human-readable summary of the call, one detail per line
+ */
+export function describeToolCall(toolName, toolArgs) {
+  // Drop any server prefix and turn snake_case into words, e.g. loyalty__redeem_points -> Redeem points
+  const action = toolName.split(TOOL_NAMESPACE_SEPARATOR).pop().replace(/[_-]+/g, " ").trim();
+  const title = action.charAt(0).toUpperCase() + action.slice(1);
+
+  const details = Object.entries(toolArgs || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${key.replace(/[_-]+/g, " ")}: ${typeof value === "object" ? JSON.stringify(value) : value}`);
+
+  return [title, ...details].join("\n");
+}
+
+export default {
+  waitForConfirmation,
+  resolveConfirmation,
+  describeToolCall
+};
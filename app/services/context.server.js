@@ -0,0 +1,327 @@
+/**
+ * Context Service
+ * Keeps the conversation history sent to the model within a token budget.
+ *
+ * Older tool results are elided, oversized ones are truncated, and once the history
+ * is still over budget the oldest turns are summarized into a stored summary that is
+ * passed to the model as a system note instead of the messages themselves.
+ */
+import { getConversationSummary, saveConversationSummary, saveSummaryUsage, getMessageImages } from "../db.server";
+import AppConfig from "./config.server";
+import { toDataUrl } from "./image.server";
+import { getMessageUsage } from "./usage.server";
+
+// Rough characters-per-token ratio used for estimates; precise counts are provider specific
+const CHARS_PER_TOKEN = 4;
+
+// Rough tokens per attached image; providers bill images by size, up to about this much
+const IMAGE_TOKENS = 1600;
+
+const SUMMARY_PROMPT = `You summarize conversations between a store's customer and its shopping assistant.
+Write a concise summary that lets the assistant continue the conversation without the original messages.
+Keep the customer's goals, preferences and constraints, products and variants discussed (with IDs, prices and URLs when given), cart and order details, and any open questions or promises.
+Leave out greetings and small talk. Reply with the summary only.`;
+
+/**
+ * Estimates the number of tokens in a message
+ * @param {Object} message - Claude-style message
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(message) {
+  if (typeof message.content === "string") {
+    return Math.ceil(message.content.length / CHARS_PER_TOKEN);
+  }
+
+  const blocks = Array.isArray(message.content) ? message.content : [message.content];
+  const isImage = (block) => block?.type === "image" || block?.type === "image_url";
+  const text = JSON.stringify(blocks.filter((block) => !isImage(block)));
+
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + blocks.filter(isImage).length * IMAGE_TOKENS;
+}
+
+/**
+ * Estimates the number of tokens in a list of messages
+ * @param {Array} messages - Claude-style messages
+ * @returns {number} Estimated token count
+ */
+export function estimateHistoryTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message), 0);
+}
+
+/**
+ * Checks whether a message carries tool results rather than customer input
+ * @param {Object} message - Claude-style message
+ * @returns {boolean} True for tool result messages
+ */
+function isToolResultMessage(message) {
+  return message.role === "user" &&
+    Array.isArray(message.content) &&
+    message.content.some((block) => block.type === "tool_result");
+}
+
+/**
+ * Checks whether a message starts a turn, i.e. is input from the customer
+ * @param {Object} message - Claude-style message
+ * @returns {boolean} True for customer messages
+ */
+function isTurnStart(message) {
+  return message.role === "user" && !isToolResultMessage(message);
+}
+
+/**
+ * Finds where the latest turns start
+ * @param {Array} messages - Claude-style messages, oldest first
+ * @param {number} turns - Number of latest turns
+ * @returns {number} Index of the first message of those turns, 0 when there are fewer turns
+ */
+function findRecentTurnsStart(messages, turns) {
+  const turnStarts = messages
+    .map((message, index) => (isTurnStart(message) ? index : -1))
+    .filter((index) => index >= 0);
+
+  return turnStarts[turnStarts.length - turns] ?? 0;
+}
+
+/**
+ * Converts tool result content to plain text
+ * @param {string|Array} content - Tool result content
+ * @returns {string} The text of the result
+ */
+function toolResultToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? "");
+
+  return content
+    .map((block) => (block.type === "text" ? block.text : JSON.stringify(block)))
+    .join("\n");
+}
+
+/**
+ * Elides tool results from older turns and truncates oversized recent ones.
+ * The tool_result blocks themselves are kept so every tool_use still has its result.
+ * @param {Array} messages - Claude-style messages, oldest first
+ * @returns {Array} Messages with shortened tool results
+ */
+export function compactToolResults(messages) {
+  const { recentToolResultTurns, maxToolResultTokens } = AppConfig.context;
+
+  // Tool results from the latest turns are kept; anything before this index is stale
+  const recentStart = findRecentTurnsStart(messages, recentToolResultTurns);
+  const maxChars = maxToolResultTokens * CHARS_PER_TOKEN;
+
+  return messages.map((message, index) => {
+    if (!isToolResultMessage(message)) return message;
+
+    return {
+      ...message,
+      content: message.content.map((block) => {
+        if (block.type !== "tool_result") return block;
+
+        const text = toolResultToText(block.content);
+        if (index < recentStart) {
+          const tokens = Math.ceil(text.length / CHARS_PER_TOKEN);
+          return { ...block, content: `[Earlier tool result omitted to save space (about ${tokens} tokens). Call the tool again if you need these details.]` };
+        }
+        if (text.length > maxChars) {
+          return { ...block, content: `${text.slice(0, maxChars)}\n[Tool result truncated]` };
+        }
+        return block;
+      })
+    };
+  });
+}
+
+/**
+ * Replaces the image references in customer messages with the images themselves.
+ * Only images from the latest turns are sent; older ones become a short note.
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} messages - Claude-style messages, oldest first
+ * @returns {Promise<Array>} Messages with image_url blocks in place of image references
+ */
+export async function inlineImages(conversationId, messages) {
+  const recentStart = findRecentTurnsStart(messages, AppConfig.images.recentTurns);
+  const hasImages = (message) => Array.isArray(message.content) && message.content.some((block) => block.type === "image");
+
+  const imageIds = messages
+    .slice(recentStart)
+    .filter(hasImages)
+    .flatMap((message) => message.content.filter((block) => block.type === "image").map((block) => block.image_id));
+  const images = new Map(
+    (imageIds.length > 0 ? await getMessageImages(conversationId, imageIds) : []).map((image) => [image.id, image])
+  );
+
+  return messages.map((message, index) => {
+    if (!hasImages(message)) return message;
+
+    return {
+      ...message,
+      content: message.content.map((block) => {
+        if (block.type !== "image") return block;
+
+        const image = index >= recentStart && images.get(block.image_id);
+        return image
+          ? { type: "image_url", image_url: { url: toDataUrl(image) } }
+          : { type: "text", text: "[The customer shared an image earlier. Ask them to share it again if you need to see it.]" };
+      })
+    };
+  });
+}
+
+/**
+ * Finds where to split the history so the recent part fits its budget.
+ * Splits only at the start of a turn, so tool calls stay with their results.
+ * @param {Array} messages - Claude-style messages, oldest first
+ * @param {number} recentBudget - Token budget for the messages kept verbatim
+ * @returns {number} Index of the first message to keep, 0 when nothing can be split off
+ */
+function findSummaryBoundary(messages, recentBudget) {
+  let boundary = 0;
+  let recentTokens = 0;
+
+  for (let i = messages.length - 1; i > 0; i--) {
+    recentTokens += estimateTokens(messages[i]);
+
+    if (isTurnStart(messages[i])) {
+      // Always keep the current turn, even when it alone is over budget
+      if (boundary && recentTokens > recentBudget) break;
+      boundary = i;
+    }
+  }
+
+  return boundary;
+}
+
+/**
+ * Renders messages as a plain transcript for summarization
+ * @param {Array} messages - Claude-style messages
+ * @returns {string} The transcript
+ */
+function renderTranscript(messages) {
+  const maxToolChars = 500;
+
+  return messages.flatMap((message) => {
+    if (typeof message.content === "string") {
+      return [`${message.role === "user" ? "Customer" : "Assistant"}: ${message.content}`];
+    }
+
+    return (message.content || []).map((block) => {
+      if (block.type === "text") {
+        return `${message.role === "user" ? "Customer" : "Assistant"}: ${block.text}`;
+      }
+      if (block.type === "tool_use") {
+        return `Assistant called ${block.name} with ${JSON.stringify(block.input)}`;
+      }
+      if (block.type === "tool_result") {
+        return `Tool result: ${toolResultToText(block.content).slice(0, maxToolChars)}`;
+      }
+      if (block.type === "image") {
+        return "Customer: [shared an image]";
+      }
+      return null;
+    }).filter(Boolean);
+  }).join("\n\n");
+}
+
+/**
+ * Summarizes messages with the conversation's LLM service.
+ * The call's token usage is recorded against the conversation, like an assistant message's.
+ * @param {Object} llmService - LLM service exposing streamConversation
+ * @param {Array} messages - Messages to summarize
+ * @param {string} [previousSummary] - Summary of the messages before these
+ * @param {Object} options - Request options
+ * @param {string} options.conversationId - The conversation ID
+ * @param {string} [options.shop] - The shop domain
+ * @param {AbortSignal} [options.signal] - Aborts the summary request
+ * @returns {Promise<string>} The new summary
+ */
+async function summarizeMessages(llmService, messages, previousSummary, { conversationId, shop, signal }) {
+  const transcript = renderTranscript(messages);
+  const content = previousSummary
+    ? `Summary of the conversation so far:\n${previousSummary}\n\nLater messages:\n${transcript}`
+    : transcript;
+
+  const summaryMessage = await llmService.streamConversation({
+    messages: [{ role: "user", content }],
+    systemPrompt: SUMMARY_PROMPT,
+    shop,
+    signal
+  });
+
+  await saveSummaryUsage(conversationId, getMessageUsage(summaryMessage)).catch(() => {});
+
+  const summary = summaryMessage.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("")
+    .trim();
+
+  if (!summary) {
+    throw new Error("The model returned an empty summary");
+  }
+
+  return summary;
+}
+
+/**
+ * Prepares the conversation history for the next model call.
+ * Messages already covered by the stored summary are left out, tool results are compacted,
+ * and when the history is still over budget the oldest turns are summarized.
+ * Images from the latest turns are inlined last, so they don't count against the text budget.
+ * @param {Object} params - Context parameters
+ * @param {string} params.conversationId - The conversation ID
+ * @param {Array} params.dbMessages - Stored messages, oldest first, as returned by getConversationHistory
+ * @param {Object} params.llmService - LLM service used to write summaries
+ * @param {string} [params.shop] - The shop domain
+ * @param {AbortSignal} [params.signal] - Aborts the summary request
+ * @returns {Promise<{messages: Array, summary: string|null}>} Messages to send and the summary to include
+ */
+export async function prepareConversationContext({ conversationId, dbMessages, llmService, shop, signal }) {
+  const storedSummary = await getConversationSummary(conversationId);
+  const rows = storedSummary
+    ? dbMessages.filter((row) => row.createdAt > storedSummary.summarizedUntil)
+    : dbMessages;
+
+  const messages = compactToolResults(rows.map((row) => {
+    let content;
+    try {
+      content = JSON.parse(row.content);
+    } catch (e) {
+      content = row.content;
+    }
+    return { role: row.role, content };
+  }));
+
+  const summary = storedSummary?.content ?? null;
+  const { maxHistoryTokens, recentHistoryTokens } = AppConfig.context;
+
+  if (!maxHistoryTokens || estimateHistoryTokens(messages) <= maxHistoryTokens) {
+    return { messages: await inlineImages(conversationId, messages), summary };
+  }
+
+  const boundary = findSummaryBoundary(messages, recentHistoryTokens);
+  if (boundary === 0) {
+    return { messages: await inlineImages(conversationId, messages), summary };
+  }
+
+  const recentMessages = await inlineImages(conversationId, messages.slice(boundary));
+
+  try {
+    const newSummary = await summarizeMessages(llmService, messages.slice(0, boundary), summary, { conversationId, shop, signal });
+    await saveConversationSummary(conversationId, newSummary, rows[boundary - 1].createdAt);
+    console.log(`Summarized ${boundary} messages for conversation ${conversationId}`);
+
+    return { messages: recentMessages, summary: newSummary };
+  } catch (error) {
+    // Without a fresh summary, still drop the oldest turns so the request fits the context window
+    console.error('Error summarizing conversation history:', error);
+    return { messages: recentMessages, summary };
+  }
+}
+
+export default {
+  estimateTokens,
+  estimateHistoryTokens,
+  compactToolResults,
+  inlineImages,
+  prepareConversationContext
+};
@@ -0,0 +1,92 @@
+/**
+ * Failover Service
+ * Chains LLM services so a turn that fails on one provider is retried on the next
+ */
+
+/**
+ * Creates a service that tries each provider in order until one answers.
+ * A provider is only skipped when it fails before anything reached the client:
+ * no text was streamed and no message was completed. Every provider rebuilds its
+ * LangChain messages from the stored Claude-style history via buildLangChainMessages,
+ * so the same history can be replayed on any provider.
+ * @param {Array<{name: string, create: Function}>} chain - Providers in priority order, created lazily
+ * @returns {Object} LLM service exposing streamConversation
+ */
+export function createFailoverService(chain) {
+  const services = new Map();
+
+  /**
+   * Gets or creates the service for a chain entry
+   * @param {Object} entry - The chain entry
+   * @returns {Object} The LLM service
+   */
+  const getService = (entry) => {
+    if (!services.has(entry.name)) {
+      services.set(entry.name, entry.create());
+    }
+    return services.get(entry.name);
+  };
+
+  /**
+   * Streams a conversation, failing over to the next provider on early errors
+   * @param {Object} params - Stream parameters, passed through to each provider
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} [streamHandlers.onProviderFallback] - Called with { from, to, error } before retrying
+   * @returns {Promise<Object>} The final message from the provider that answered
+   */
+  const streamConversation = async (params, streamHandlers = {}) => {
+    let lastError = null;
+
+    for (let i = 0; i < chain.length; i++) {
+      const entry = chain[i];
+      let committed = false;
+
+      const handlers = {
+        ...streamHandlers,
+        onText: (textDelta) => {
+          committed = true;
+          streamHandlers.onText?.(textDelta);
+        },
+        onMessage: (message) => {
+          committed = true;
+          streamHandlers.onMessage?.(message);
+        }
+      };
+
+      try {
+        const service = getService(entry);
+        return await service.streamConversation(params, handlers);
+      } catch (error) {
+        lastError = error;
+        const next = chain[i + 1];
+
+        if (committed || !next || !shouldFailover(error)) {
+          throw error;
+        }
+
+        console.warn(`LLM provider ${entry.name} failed, falling back to ${next.name}:`, error.message);
+        streamHandlers.onProviderFallback?.({ from: entry.name, to: next.name, error });
+      }
+    }
+
+    throw lastError;
+  };
+
+  return {
+    name: chain[0]?.name,
+    streamConversation
+  };
+}
+
+/**
+ * Determines whether an error should trigger a retry on the next provider
+ * @param {Error} error - The provider error
+ * @returns {boolean} True unless the request was deliberately aborted
+ */
+function shouldFailover(error) {
+  return error?.name !== 'AbortError';
+}
+
+export default {
+  createFailoverService
+};
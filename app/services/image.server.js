@@ -0,0 +1,81 @@
+/**
+ * Image Service
+ * Validates the images shoppers attach to their messages and prepares them for the model.
+ *
+ * Images are stored with their message and referenced from its content by ID, which keeps
+ * the stored history small. They are inlined as data URLs only when sent to the model.
+ */
+import { randomUUID } from "node:crypto";
+import AppConfig from "./config.server";
+
+// File signatures of the image types models accept, checked instead of the declared type
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/jpeg", matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { mimeType: "image/png", matches: (data) => data.subarray(0, 4).toString("hex") === "89504e47" },
+  { mimeType: "image/gif", matches: (data) => data.subarray(0, 4).toString("ascii") === "GIF8" },
+  {
+    mimeType: "image/webp",
+    matches: (data) => data.subarray(0, 4).toString("ascii") === "RIFF" && data.subarray(8, 12).toString("ascii") === "WEBP"
+  }
+];
+
+/**
+ * Parses the images attached to a chat request
+ * @param {Array<string>} [images] - Data URLs of the attached images
+ * @returns {{images: Array<Object>}|{error: string}} Images with id, mimeType and data, or why they were refused
+ */
+export function parseImageUploads(images = []) {
+  const { maxPerMessage, maxBytes } = AppConfig.images;
+
+  if (!Array.isArray(images)) {
+    return { error: AppConfig.errorMessages.invalidImage };
+  }
+  if (images.length > maxPerMessage) {
+    return { error: AppConfig.errorMessages.tooManyImages };
+  }
+
+  const parsed = [];
+  for (const dataUrl of images) {
+    const match = typeof dataUrl === "string" && dataUrl.match(/^data:image\/[\w.+-]+;base64,([A-Za-z0-9+/]+=*)$/);
+    const data = match ? Buffer.from(match[1], "base64") : null;
+    const signature = data && IMAGE_SIGNATURES.find(({ matches }) => matches(data));
+
+    if (!signature || data.length > maxBytes) {
+      return { error: AppConfig.errorMessages.invalidImage };
+    }
+
+    parsed.push({ id: randomUUID(), mimeType: signature.mimeType, data });
+  }
+
+  return { images: parsed };
+}
+
+/**
+ * Builds the stored content of a shopper's message
+ * @param {string} text - The message text, which may be empty when images are attached
+ * @param {Array<Object>} images - The parsed images
+ * @returns {string} The text alone, or JSON content blocks that reference the images by ID
+ */
+export function buildUserMessageContent(text, images) {
+  if (images.length === 0) return text;
+
+  return JSON.stringify([
+    ...(text ? [{ type: "text", text }] : []),
+    ...images.map(({ id }) => ({ type: "image", image_id: id }))
+  ]);
+}
+
+/**
+ * Converts a stored image to a data URL
+ * @param {Object} image - The image, with mimeType and data
+ * @returns {string} The data URL
+ */
+export function toDataUrl({ mimeType, data }) {
+  return `data:${mimeType};base64,${Buffer.from(data).toString("base64")}`;
+}
+
+export default {
+  parseImageUploads,
+  buildUserMessageContent,
+  toDataUrl
+};
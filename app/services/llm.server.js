@@ -0,0 +1,238 @@
+/**
+ * LLM Service
+ * Shared streaming implementation for LangChain chat models.
+ *
+ * Every provider exposes the same contract:
+ *   streamConversation({ messages, promptType, tools, shop, systemPrompt, systemNotes, signal }, streamHandlers)
+ * which streams text through streamHandlers.onText, reports the final Claude-style
+ * message through streamHandlers.onMessage, runs streamHandlers.onToolUse for each
+ * tool_use block and resolves with the final message. Final messages also carry the
+ * provider and model that produced them and, when reported, their token usage.
+ *
+ * Tool calls from one message run concurrently, up to AppConfig.tools.maxConcurrentToolCalls
+ * at a time, and receive params.signal so they stop with the turn. Whatever onToolUse resolves with is then passed to streamHandlers.onToolResult
+ * in the order the model requested the tools, so tool results are recorded deterministically.
+ * A tool call that throws gets an error result instead of failing the other calls.
+ *
+ * When params.signal is aborted mid-stream, the partial text is reported through onMessage
+ * instead of throwing, and no tools are run. Its stop reason is "timeout" when the signal
+ * timed out and "cancelled" otherwise.
+ */
+import AppConfig from "./config.server";
+import { resolveSystemPrompt } from "./prompt.server";
+import {
+  buildLangChainMessages,
+  convertAIMessageLikeToClaudeMessage,
+  createEmptyAIMessageChunk,
+  extractTextDeltaFromChunk
+} from "./langchain.server";
+
+/**
+ * Creates a streaming service around a LangChain chat model
+ * @param {Object} options - Service options
+ * @param {string} options.name - Provider name, reported on each final message
+ * @param {Object} options.chatModel - LangChain chat model instance
+ * @param {Function} [options.formatTools] - Converts Claude-style tool definitions to the model's format
+ * @param {Function} [options.getChunkStopReason] - Extracts a raw stop reason from a streamed chunk
+ * @param {Function} [options.mapStopReason] - Maps the raw stop reason to a Claude-style stop reason
+ * @returns {Object} Service with streamConversation and getSystemPrompt
+ */
+export function createChatModelService({
+  name,
+  chatModel,
+  formatTools = (tools) => (tools && tools.length > 0 ? tools : undefined),
+  getChunkStopReason = (chunk) => chunk.additional_kwargs?.stop_reason,
+  mapStopReason = (stopReason) => stopReason
+}) {
+  /**
+   * Streams a conversation with the chat model
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {Array} params.tools - Available tools in Claude format
+   * @param {string} [params.shop] - The shop domain used to resolve shop-specific prompts
+   * @param {string} [params.systemPrompt] - Explicit system prompt, overriding promptType
+   * @param {Array<string>} [params.systemNotes] - Extra context appended to the system prompt, e.g. a conversation summary
+   * @param {AbortSignal} [params.signal] - Aborts the model request
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} streamHandlers.onText - Handles text chunks
+   * @param {Function} streamHandlers.onMessage - Handles complete messages
+   * @param {Function} streamHandlers.onToolUse - Handles tool use requests, called with the tool_use block and
+   *   { signal }, resolving with the tool result
+   * @param {Function} [streamHandlers.onToolResult] - Records a tool result, called in request order
+   * @returns {Promise<Object>} The final message
+   */
+  const streamConversation = async ({
+    messages,
+    promptType = AppConfig.api.defaultPromptType,
+    tools,
+    shop,
+    systemPrompt,
+    systemNotes = [],
+    signal
+  }, streamHandlers = {}) => {
+    // Build LangChain message array with system prompt
+    const basePrompt = systemPrompt ?? await getSystemPrompt(promptType, shop);
+    const systemInstruction = [basePrompt, ...systemNotes].filter(Boolean).join("\n\n");
+    const lcMessages = buildLangChainMessages(messages, systemInstruction);
+
+    const formattedTools = formatTools(tools);
+    const callOptions = {
+      ...(formattedTools ? { tools: formattedTools } : {}),
+      ...(signal ? { signal } : {})
+    };
+
+    let aggregatedChunk = null;
+    let latestStopReason = null;
+
+    try {
+      const stream = await chatModel.stream(lcMessages, callOptions);
+
+      for await (const chunk of stream) {
+        aggregatedChunk = aggregatedChunk ? aggregatedChunk.concat(chunk) : chunk;
+
+        const textDelta = extractTextDeltaFromChunk(chunk);
+        if (textDelta) {
+          streamHandlers.onText?.(textDelta);
+          streamHandlers.onContentBlock?.({
+            type: "text",
+            text: textDelta
+          });
+        }
+
+        const chunkStop = getChunkStopReason(chunk);
+        if (chunkStop) {
+          latestStopReason = chunkStop;
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+      return finishAbortedMessage(aggregatedChunk, signal, streamHandlers);
+    }
+
+    const finalChunk = aggregatedChunk ?? createEmptyAIMessageChunk();
+    const finalMessage = convertAIMessageLikeToClaudeMessage(finalChunk, mapStopReason(latestStopReason));
+    addMessageMetadata(finalMessage, finalChunk);
+
+    streamHandlers.onMessage?.(finalMessage);
+
+    if (streamHandlers.onToolUse && Array.isArray(finalMessage.content)) {
+      const toolUseBlocks = finalMessage.content.filter((contentBlock) => contentBlock.type === "tool_use");
+      const toolResults = await mapWithConcurrency(
+        toolUseBlocks,
+        AppConfig.tools.maxConcurrentToolCalls,
+        (contentBlock) => runToolUse(contentBlock, signal, streamHandlers)
+      );
+
+      for (let i = 0; i < toolUseBlocks.length; i++) {
+        await streamHandlers.onToolResult?.(toolUseBlocks[i], toolResults[i]);
+      }
+    }
+
+    return finalMessage;
+  };
+
+  /**
+   * Records the provider, model and token usage on a final message
+   * @param {Object} finalMessage - Claude-style message
+   * @param {Object} finalChunk - The aggregated LangChain chunk
+   */
+  const addMessageMetadata = (finalMessage, finalChunk) => {
+    finalMessage.provider = name;
+    finalMessage.model = chatModel.model;
+    if (finalChunk.usage_metadata) {
+      finalMessage.usage = {
+        input_tokens: finalChunk.usage_metadata.input_tokens,
+        output_tokens: finalChunk.usage_metadata.output_tokens
+      };
+    }
+  };
+
+  /**
+   * Builds the message for a stream that was aborted part way through.
+   * Only the text streamed so far is kept; incomplete tool calls are dropped.
+   * @param {Object|null} aggregatedChunk - The chunks received before the abort
+   * @param {AbortSignal} signal - The aborted signal
+   * @param {Object} streamHandlers - Stream event handlers
+   * @returns {Object} The partial message with a "timeout" or "cancelled" stop reason
+   */
+  const finishAbortedMessage = (aggregatedChunk, signal, streamHandlers) => {
+    const finalChunk = aggregatedChunk ?? createEmptyAIMessageChunk();
+    const stopReason = signal.reason?.name === "TimeoutError" ? "timeout" : "cancelled";
+    const finalMessage = convertAIMessageLikeToClaudeMessage(finalChunk, stopReason);
+    finalMessage.content = finalMessage.content.filter((contentBlock) => contentBlock.type === "text" && contentBlock.text);
+    addMessageMetadata(finalMessage, finalChunk);
+
+    if (finalMessage.content.length > 0) {
+      streamHandlers.onMessage?.(finalMessage);
+    }
+
+    return finalMessage;
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type
+   * @param {string} promptType - The prompt type to retrieve
+   * @param {string} [shop] - The shop domain, used to look up shop-specific prompts
+   * @returns {Promise<string>} The system prompt content
+   */
+  const getSystemPrompt = (promptType, shop) => {
+    return resolveSystemPrompt(promptType, shop);
+  };
+
+  return {
+    name,
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+/**
+ * Runs one tool call through streamHandlers.onToolUse. A call that throws is settled with an
+ * error result, so it doesn't take the results of the other calls from the same message with it.
+ * @param {Object} contentBlock - The tool_use block
+ * @param {AbortSignal} [signal] - Aborts the tool call
+ * @param {Object} streamHandlers - Stream event handlers
+ * @returns {Promise<Object>} The tool result, or an error result when the call failed
+ */
+async function runToolUse(contentBlock, signal, streamHandlers) {
+  try {
+    return await streamHandlers.onToolUse(contentBlock, { signal });
+  } catch (error) {
+    console.error(`Error calling tool ${contentBlock.name}:`, error);
+    return {
+      error: {
+        type: "internal_error",
+        data: `Error calling tool ${contentBlock.name}: ${error.message}`
+      }
+    };
+  }
+}
+
+/**
+ * Maps items through an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls, 0 for no limit
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  const workerCount = Math.min(limit || items.length, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+export default {
+  createChatModelService
+};
@@ -0,0 +1,40 @@
+/**
+ * OpenAI-Compatible Service
+ * Talks to any server implementing the OpenAI chat completions API,
+ * such as a local Ollama or vLLM instance
+ */
+import AppConfig from "./config.server";
+import { createOpenAIService } from "./openai.server";
+
+/**
+ * Creates a service for an OpenAI-compatible endpoint
+ * @param {string} apiKey - API key, if the endpoint requires one
+ * @param {Object} [options] - Model options
+ * @param {string} [options.baseUrl] - Base URL of the endpoint, e.g. http://localhost:11434/v1
+ * @param {string} [options.model] - Model name served by the endpoint
+ * @param {number} [options.maxTokens] - Maximum tokens per response
+ * @returns {Object} Service with methods for interacting with the endpoint
+ */
+export function createOpenAICompatibleService(apiKey = process.env.OPENAI_COMPATIBLE_API_KEY, {
+  baseUrl,
+  model,
+  maxTokens
+} = {}) {
+  const endpoint = baseUrl || AppConfig.api.compatibleBaseUrl;
+
+  if (!endpoint) {
+    throw new Error("OpenAI-compatible provider requires a base URL");
+  }
+
+  // Local servers usually ignore the key, but the OpenAI client insists on one
+  return createOpenAIService(apiKey || "not-needed", {
+    name: "openai-compatible",
+    baseUrl: endpoint,
+    model: model || AppConfig.api.compatibleModel,
+    maxTokens
+  });
+}
+
+export default {
+  createOpenAICompatibleService
+};
@@ -0,0 +1,52 @@
+/**
+ * Prompt Service
+ * Resolves system prompts per shop, falling back to the bundled defaults
+ */
+import { getPromptByKey } from "../db.server";
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+
+/**
+ * Gets the bundled default prompts keyed by prompt type
+ * @returns {Object} Default prompts from prompts.json
+ */
+export function getDefaultPrompts() {
+  return systemPrompts.systemPrompts;
+}
+
+/**
+ * Gets the bundled default prompt content for a prompt type
+ * @param {string} promptType - The prompt type to retrieve
+ * @returns {string} The default system prompt content
+ */
+export function getDefaultPromptContent(promptType) {
+  const defaults = getDefaultPrompts();
+  return defaults[promptType]?.content ||
+    defaults[AppConfig.api.defaultPromptType].content;
+}
+
+/**
+ * Resolves the system prompt for a shop and prompt type.
+ * A prompt authored by the shop takes precedence over the bundled default.
+ * @param {string} promptType - The prompt type to retrieve
+ * @param {string} [shop] - The shop domain
+ * @returns {Promise<string>} The system prompt content
+ */
+export async function resolveSystemPrompt(promptType, shop) {
+  const type = promptType || AppConfig.api.defaultPromptType;
+
+  if (shop) {
+    const shopPrompt = await getPromptByKey(shop, type);
+    if (shopPrompt?.content) {
+      return shopPrompt.content;
+    }
+  }
+
+  return getDefaultPromptContent(type);
+}
+
+export default {
+  getDefaultPrompts,
+  getDefaultPromptContent,
+  resolveSystemPrompt
+};
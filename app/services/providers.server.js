@@ -0,0 +1,85 @@
+/**
+ * Provider Registry
+ * Maps provider names to LLM service factories sharing the streamConversation contract
+ */
+import AppConfig from "./config.server";
+import { createClaudeService } from "./claude.server";
+import { createOpenAIService } from "./openai.server";
+import { createOpenAICompatibleService } from "./openai-compatible.server";
+
+const providers = new Map();
+
+/**
+ * Registers an LLM provider
+ * @param {string} name - Unique provider name, stored in shop settings
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.label - Human-readable name shown in the admin
+ * @param {Function} provider.create - Factory receiving { model, maxTokens } and returning a service
+ * @param {Function} provider.defaultModel - Returns the model used when none is configured
+ * @param {boolean} [provider.requiresBaseUrl] - Whether the provider needs OPENAI_COMPATIBLE_BASE_URL
+ */
+export function registerProvider(name, { label, create, defaultModel, requiresBaseUrl = false }) {
+  providers.set(name, { name, label, create, defaultModel, requiresBaseUrl });
+}
+
+/**
+ * Gets a registered provider
+ * @param {string} name - The provider name
+ * @returns {Object|undefined} The provider definition
+ */
+export function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * Lists all registered providers
+ * @returns {Array} Provider definitions in registration order
+ */
+export function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Creates an LLM service for a provider, falling back to the default provider when unknown
+ * @param {string} name - The provider name
+ * @param {Object} [options] - Options passed to the provider factory
+ * @returns {Object} LLM service exposing streamConversation
+ */
+export function createProviderService(name, options = {}) {
+  let provider = providers.get(name);
+
+  if (!provider) {
+    console.warn(`Unknown LLM provider "${name}", using ${AppConfig.api.provider}`);
+    provider = providers.get(AppConfig.api.provider) || providers.get('claude');
+  }
+
+  return provider.create(options);
+}
+
+registerProvider('claude', {
+  label: 'Claude (Anthropic)',
+  create: ({ model, maxTokens }) => createClaudeService(undefined, { model, maxTokens }),
+  defaultModel: () => AppConfig.api.defaultModel
+});
+
+registerProvider('openai', {
+  label: 'OpenAI',
+  create: ({ model, maxTokens }) => createOpenAIService(undefined, { model, maxTokens }),
+  defaultModel: () => AppConfig.api.openaiModel
+});
+
+registerProvider('openai-compatible', {
+  label: 'OpenAI-compatible endpoint (Ollama, vLLM, ...)',
+  // The endpoint comes from OPENAI_COMPATIBLE_BASE_URL only: shops must not be able to send
+  // requests, and the server's API key, to a URL of their choosing
+  create: ({ model, maxTokens }) => createOpenAICompatibleService(undefined, { model, maxTokens }),
+  defaultModel: () => AppConfig.api.compatibleModel,
+  requiresBaseUrl: true
+});
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  createProviderService
+};
@@ -0,0 +1,176 @@
+/**
+ * Rate Limit Service
+ * In-memory request rate limits and per-shop daily token caps for the chat endpoint
+ */
+import { getShopTokenUsageSince } from "../db.server";
+import AppConfig from "./config.server";
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Creates a sliding-window rate limiter
+ * @param {Object} options - Limiter options
+ * @param {number} options.limit - Maximum requests per window, 0 disables the limiter
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Object} Limiter with a consume method
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+  let lastSweep = Date.now();
+
+  /**
+   * Drops keys whose hits have all expired, so idle visitors don't accumulate
+   * @param {number} now - Current timestamp
+   */
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+
+    for (const [key, timestamps] of hits) {
+      if (timestamps[timestamps.length - 1] <= now - windowMs) {
+        hits.delete(key);
+      }
+    }
+  };
+
+  /**
+   * Records a request for a key if it is within the limit.
+   * Requests without a key share one "unknown" key rather than going unlimited.
+   * @param {string} [key] - The key to limit, e.g. an IP address
+   * @returns {{allowed: boolean, retryAfterMs: number}} Whether the request may proceed
+   */
+  const consume = (key) => {
+    if (!limit) return { allowed: true, retryAfterMs: 0 };
+    key = key || 'unknown';
+
+    const now = Date.now();
+    sweep(now);
+
+    const timestamps = (hits.get(key) || []).filter((time) => time > now - windowMs);
+
+    if (timestamps.length >= limit) {
+      hits.set(key, timestamps);
+      return { allowed: false, retryAfterMs: timestamps[0] + windowMs - now };
+    }
+
+    timestamps.push(now);
+    hits.set(key, timestamps);
+    return { allowed: true, retryAfterMs: 0 };
+  };
+
+  return { consume };
+}
+
+const conversationLimiter = createRateLimiter({
+  limit: AppConfig.limits.requestsPerMinutePerConversation,
+  windowMs: RATE_WINDOW_MS
+});
+
+const ipLimiter = createRateLimiter({
+  limit: AppConfig.limits.requestsPerMinutePerIp,
+  windowMs: RATE_WINDOW_MS
+});
+
+/**
+ * Checks the request rate limits for a chat request
+ * @param {Object} params - Request identifiers
+ * @param {string} [params.conversationId] - The conversation ID, if the request continues a conversation
+ * @param {string} [params.ip] - The client IP address
+ * @returns {Object|null} A limit_exceeded event payload, or null when the request is allowed
+ */
+export function checkRateLimits({ conversationId, ip }) {
+  return checkIpRateLimit(ip) || checkConversationRateLimit({ conversationId, ip });
+}
+
+/**
+ * Checks the per-IP rate limit, which needs nothing from the request body
+ * @param {string} [ip] - The client IP address
+ * @returns {Object|null} A limit_exceeded event payload, or null when the request is allowed
+ */
+export function checkIpRateLimit(ip) {
+  const { allowed, retryAfterMs } = ipLimiter.consume(ip);
+  return allowed ? null : createLimitEvent('ip_rate', retryAfterMs);
+}
+
+/**
+ * Checks the per-conversation rate limit
+ * @param {Object} params - Request identifiers
+ * @param {string} [params.conversationId] - The conversation ID, if the request continues a conversation
+ * @param {string} [params.ip] - The client IP address
+ * @returns {Object|null} A limit_exceeded event payload, or null when the request is allowed
+ */
+export function checkConversationRateLimit({ conversationId, ip }) {
+  // Requests starting a new conversation count against the conversation limit per IP address
+  const { allowed, retryAfterMs } = conversationLimiter.consume(conversationId || `new:${ip || 'unknown'}`);
+  return allowed ? null : createLimitEvent('conversation_rate', retryAfterMs);
+}
+
+/**
+ * Checks whether a shop has used up its daily token cap
+ * @param {string} shop - The verified shop domain
+ * @param {number} dailyTokenCap - Maximum tokens per UTC day, 0 disables the cap
+ * @returns {Promise<Object|null>} A limit_exceeded event payload, or null when under the cap
+ */
+export async function checkDailyTokenCap(shop, dailyTokenCap) {
+  if (!dailyTokenCap) return null;
+
+  // Usage can't be counted against an unknown shop, so the cap fails closed
+  if (!shop) return createLimitEvent('daily_token_cap');
+
+  const startOfDay = new Date();
+  startOfDay.setUTCHours(0, 0, 0, 0);
+
+  const usedTokens = await getShopTokenUsageSince(shop, startOfDay);
+  if (usedTokens < dailyTokenCap) return null;
+
+  const endOfDay = new Date(startOfDay);
+  endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+
+  return createLimitEvent('daily_token_cap', endOfDay.getTime() - Date.now());
+}
+
+/**
+ * Creates the SSE event sent to the client when a limit is hit
+ * @param {string} limit - The limit that was hit
+ * @param {number} [retryAfterMs] - When the client may retry, in milliseconds
+ * @returns {Object} The limit_exceeded event payload
+ */
+export function createLimitEvent(limit, retryAfterMs) {
+  return {
+    type: 'limit_exceeded',
+    limit,
+    error: AppConfig.errorMessages.limitExceeded[limit] || AppConfig.errorMessages.rateLimitExceeded,
+    details: AppConfig.errorMessages.rateLimitDetails,
+    ...(retryAfterMs ? { retry_after: Math.ceil(retryAfterMs / 1000) } : {})
+  };
+}
+
+/**
+ * Gets the client IP address for a request.
+ * Each trusted proxy appends the address it received the request from to X-Forwarded-For,
+ * so the client is the entry added by the outermost one. Entries to its left were sent by
+ * the client and can be anything.
+ * @param {Request} request - The request object
+ * @returns {string|null} The client IP address, or null when no trusted proxy reported it
+ */
+export function getClientIp(request) {
+  const { trustedProxyHops } = AppConfig.limits;
+  const forwardedFor = (request.headers.get("X-Forwarded-For") || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  if (!trustedProxyHops || forwardedFor.length < trustedProxyHops) return null;
+
+  return forwardedFor[forwardedFor.length - trustedProxyHops];
+}
+
+export default {
+  createRateLimiter,
+  checkRateLimits,
+  checkIpRateLimit,
+  checkConversationRateLimit,
+  checkDailyTokenCap,
+  createLimitEvent,
+  getClientIp
+};
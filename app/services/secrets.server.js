@@ -0,0 +1,77 @@
+/**
+ * Secrets Service
+ * Encrypts credentials stored for merchants, such as MCP server auth headers, with AES-256-GCM.
+ *
+ * The key is derived from MCP_SECRET_KEY, or from the app's SHOPIFY_API_SECRET when that
+ * isn't set. Values stored before encryption was added are read as they are.
+ */
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "node:crypto";
+
+// Marks encrypted values and the format they were written in
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+/**
+ * Derives the encryption key from the app's secret
+ * @returns {Buffer} 32-byte AES key
+ * @throws {Error} When neither MCP_SECRET_KEY nor SHOPIFY_API_SECRET is set
+ */
+function getKey() {
+  const secret = process.env.MCP_SECRET_KEY || process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error("MCP_SECRET_KEY or SHOPIFY_API_SECRET must be set to store credentials");
+  }
+
+  return createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Checks whether a stored value was encrypted by encryptSecret
+ * @param {string|null} value - The stored value
+ * @returns {boolean} True for encrypted values
+ */
+export function isEncryptedSecret(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypts a secret for storage
+ * @param {string|null} value - The secret
+ * @returns {string|null} The encrypted value, or the value itself when it is empty
+ */
+export function encryptSecret(value) {
+  if (!value) return value;
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+/**
+ * Decrypts a stored secret
+ * @param {string|null} value - The stored value
+ * @returns {string|null} The secret; values that aren't encrypted are returned unchanged
+ * @throws {Error} When the value was encrypted with a different key or has been tampered with
+ */
+export function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) return value;
+
+  const [iv, authTag, ciphertext] = value
+    .slice(ENCRYPTED_PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+export default {
+  isEncryptedSecret,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,83 @@
+/**
+ * Settings Service
+ * Resolves per-shop LLM settings and builds the matching LLM service
+ */
+import { getShopSettings } from "../db.server";
+import AppConfig, { parseList } from "./config.server";
+import { getProvider, createProviderService } from "./providers.server";
+import { createFailoverService } from "./failover.server";
+
+/**
+ * Gets the default model for a provider
+ * @param {string} provider - The provider name
+ * @returns {string} The default model name
+ */
+export function getDefaultModel(provider) {
+  return getProvider(provider)?.defaultModel() || AppConfig.api.defaultModel;
+}
+
+/**
+ * Resolves the LLM settings for a shop, falling back to the process-wide defaults
+ * @param {string} [shop] - The shop domain
+ * @returns {Promise<Object>} Settings with provider, model, maxTokens and fallbackProviders
+ */
+export async function getLlmSettings(shop) {
+  const shopSettings = shop ? await getShopSettings(shop) : null;
+  const provider = shopSettings?.provider || AppConfig.api.provider || 'claude';
+
+  return {
+    provider,
+    model: shopSettings?.model || getDefaultModel(provider),
+    maxTokens: shopSettings?.maxTokens || AppConfig.api.maxTokens,
+    fallbackProviders: shopSettings?.fallbackProviders
+      ? parseList(shopSettings.fallbackProviders)
+      : AppConfig.api.fallbackProviders
+  };
+}
+
+/**
+ * Resolves the daily token cap for a shop
+ * @param {string} [shop] - The shop domain
+ * @returns {Promise<number>} Maximum tokens per UTC day, 0 for unlimited
+ */
+export async function getDailyTokenCap(shop) {
+  const shopSettings = shop ? await getShopSettings(shop) : null;
+  return shopSettings?.dailyTokenCap ?? AppConfig.limits.dailyTokenCapPerShop;
+}
+
+/**
+ * Creates an LLM service from resolved settings.
+ * When fallback providers are configured, the service fails over along the chain.
+ * @param {Object} settings - Settings returned by getLlmSettings
+ * @returns {Object} LLM service exposing streamConversation
+ */
+export function createLlmService({ provider, fallbackProviders = [], ...options }) {
+  const fallbacks = fallbackProviders.filter((name, index) =>
+    name !== provider && fallbackProviders.indexOf(name) === index
+  );
+
+  if (fallbacks.length === 0) {
+    return createProviderService(provider, options);
+  }
+
+  // Fallback providers use their own default model; the shop's model only applies to the primary
+  const chain = [
+    { name: provider, create: () => createProviderService(provider, options) },
+    ...fallbacks.map((name) => ({
+      name,
+      create: () => createProviderService(name, {
+        ...options,
+        model: getDefaultModel(name)
+      })
+    }))
+  ];
+
+  return createFailoverService(chain);
+}
+
+export default {
+  getDefaultModel,
+  getLlmSettings,
+  getDailyTokenCap,
+  createLlmService
+};
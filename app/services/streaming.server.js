@@ -1,28 +1,222 @@
 /**
  * Streaming Service
- * Provides utilities for handling server-sent events (SSE) streams
+ * Provides utilities for handling server-sent events (SSE) streams.
+ *
+ * Chat turns are buffered per conversation while they run and for a short window
+ * afterwards. Every buffered event gets an increasing ID, so a client that loses its
+ * connection can reconnect with Last-Event-ID, replay what it missed and keep
+ * receiving the rest of the turn.
+ *
+ * Each turn also owns an AbortSignal. It is aborted when the shopper cancels the turn,
+ * when a new turn starts in the same conversation, or when every client has been
+ * disconnected for longer than the grace period.
  */
+import AppConfig from "./config.server";
+
+// Buffered events of the latest turn, by conversation ID
+const turnBuffers = new Map();
+
+/**
+ * Formats an SSE event
+ * @param {Object} data - Event data
+ * @param {number} [id] - Event ID
+ * @returns {string} The SSE event text
+ */
+function formatEvent(data, id) {
+  const idLine = id ? `id: ${id}\n` : '';
+  return `${idLine}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Creates the event buffer for a new turn in a conversation, replacing the previous turn's buffer.
+ * A previous turn that is still running is aborted, so only one turn writes to the conversation.
+ * Event IDs continue from the previous turn, so they increase for the whole conversation.
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object} Turn buffer with push, complete, covers, replay, subscribe, detach and abort methods
+ */
+export function createTurnBuffer(conversationId) {
+  const previous = turnBuffers.get(conversationId);
+  previous?.abort("replaced");
+
+  const events = [];
+  const listeners = new Set();
+  const abortController = new AbortController();
+  const firstId = (previous?.lastEventId() ?? 0) + 1;
+  let lastId = firstId - 1;
+  let done = false;
+  let resolveFinished;
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+  // The stream that started the turn counts as the first connected client
+  let connectedClients = 1;
+
+  /**
+   * Buffers an event and forwards it to resumed streams
+   * @param {Object} data - Event data
+   * @returns {number} The event ID
+   */
+  const push = (data) => {
+    lastId++;
+    events.push({ id: lastId, data });
+    listeners.forEach((listener) => listener.onEvent({ id: lastId, data }));
+    return lastId;
+  };
+
+  /**
+   * Marks the turn as finished and drops the buffer once the replay window has passed
+   */
+  const complete = () => {
+    if (done) return;
+    done = true;
+    resolveFinished();
+    listeners.forEach((listener) => listener.onComplete());
+    listeners.clear();
+
+    setTimeout(() => {
+      if (turnBuffers.get(conversationId) === buffer) {
+        turnBuffers.delete(conversationId);
+      }
+    }, AppConfig.streaming.replayWindowMs).unref?.();
+  };
+
+  /**
+   * Checks whether an event ID belongs to this turn, so replaying after it is meaningful
+   * @param {number} eventId - The last event ID the client received
+   * @returns {boolean} True when the ID is from this turn
+   */
+  const covers = (eventId) => eventId >= firstId - 1 && eventId <= lastId;
+
+  /**
+   * Gets the buffered events after an event ID
+   * @param {number} eventId - The last event ID the client received
+   * @returns {Array<{id: number, data: Object}>} The missed events
+   */
+  const replay = (eventId) => events.filter((event) => event.id > eventId);
+
+  /**
+   * Subscribes to events pushed after this call
+   * @param {Object} listener - Listener with onEvent and onComplete callbacks
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (listener) => {
+    if (done) {
+      listener.onComplete();
+      return () => {};
+    }
+    listeners.add(listener);
+    connectedClients++;
+
+    return () => {
+      if (listeners.delete(listener)) {
+        detach();
+      }
+    };
+  };
+
+  /**
+   * Records that a client disconnected. Once no client has reconnected within
+   * the grace period, the turn is aborted so it stops calling the LLM and tools.
+   */
+  const detach = () => {
+    connectedClients--;
+    if (connectedClients > 0 || done) return;
+
+    setTimeout(() => {
+      if (connectedClients === 0 && !done) {
+        abort("disconnected");
+      }
+    }, AppConfig.streaming.disconnectGraceMs).unref?.();
+  };
+
+  /**
+   * Aborts the turn
+   * @param {string} reason - Why the turn was aborted, e.g. cancelled or disconnected
+   */
+  const abort = (reason) => {
+    if (!abortController.signal.aborted) {
+      console.log(`Aborting turn for conversation ${conversationId}: ${reason}`);
+      abortController.abort(reason);
+    }
+  };
+
+  const buffer = {
+    push,
+    complete,
+    covers,
+    replay,
+    subscribe,
+    detach,
+    abort,
+    signal: abortController.signal,
+    // Resolves once the turn has finished
+    finished,
+    isActive: () => !done,
+    lastEventId: () => lastId
+  };
+
+  turnBuffers.set(conversationId, buffer);
+  return buffer;
+}
+
+/**
+ * Gets the event buffer of a conversation's latest turn
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object|undefined} The turn buffer, if it is still within the replay window
+ */
+export function getTurnBuffer(conversationId) {
+  return turnBuffers.get(conversationId);
+}
+
+/**
+ * Cancels the running turn of a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {boolean} True when a running turn was found and aborted
+ */
+export function cancelTurn(conversationId) {
+  const turnBuffer = turnBuffers.get(conversationId);
+  if (!turnBuffer?.isActive()) return false;
+
+  turnBuffer.abort("cancelled");
+  return true;
+}
 
 /**
  * Creates a StreamManager to handle SSE streams with proper backpressure
  * @param {TextEncoder} encoder - A TextEncoder instance
  * @param {ReadableStreamDefaultController} controller - The stream controller
+ * @param {Object} [turnBuffer] - Buffer that records events for replay
  * @returns {Object} StreamManager with utility methods for handling streaming
  */
-export function createStreamManager(encoder, controller) {
+export function createStreamManager(encoder, controller, turnBuffer) {
+  let disconnected = false;
+
   /**
    * Send a data message to the client
    * @param {Object} data - Data to send
    */
   const sendMessage = (data) => {
+    const id = turnBuffer?.push(data);
+
+    // Keep buffering after the client has gone, so it can resume the turn
+    if (disconnected) return;
+
     try {
-      const text = `data: ${JSON.stringify(data)}\n\n`;
-      controller.enqueue(encoder.encode(text));
+      controller.enqueue(encoder.encode(formatEvent(data, id)));
     } catch (error) {
       console.error('Error sending stream message:', error);
     }
   };
 
+  /**
+   * Record that the client closed the connection
+   */
+  const markDisconnected = () => {
+    if (disconnected) return;
+    disconnected = true;
+    turnBuffer?.detach();
+  };
+
   /**
    * Send an error message to the client
    * @param {Object} error - Error object
@@ -38,6 +232,9 @@ export function createStreamManager(encoder, controller) {
    * Close the stream
    */
   const closeStream = () => {
+    turnBuffer?.complete();
+    if (disconnected) return;
+
     try {
       controller.close();
     } catch (error) {
@@ -77,34 +274,90 @@ export function createStreamManager(encoder, controller) {
     sendMessage,
     sendError,
     closeStream,
-    handleStreamingError
+    markDisconnected,
+    handleStreamingError,
+    signal: turnBuffer?.signal
   };
 }
 
 /**
  * Creates a ReadableStream for SSE
  * @param {Function} streamHandler - Async function that handles the stream
+ * @param {Object} [options] - Stream options
+ * @param {string} [options.conversationId] - Buffers the turn's events under this conversation so they can be replayed
  * @returns {ReadableStream} A readable stream for SSE
  */
-export function createSseStream(streamHandler) {
+export function createSseStream(streamHandler, { conversationId } = {}) {
   const encoder = new TextEncoder();
-  
+  let streamManager = null;
+
   return new ReadableStream({
     async start(controller) {
-      const streamManager = createStreamManager(encoder, controller);
-      
+      const previousTurn = conversationId ? getTurnBuffer(conversationId) : undefined;
+      const turnBuffer = conversationId ? createTurnBuffer(conversationId) : undefined;
+      streamManager = createStreamManager(encoder, controller, turnBuffer);
+
       try {
+        // Let a turn this one replaced stop before this one writes to the conversation
+        await previousTurn?.finished;
         await streamHandler(streamManager);
       } catch (error) {
         streamManager.handleStreamingError(error);
       } finally {
         streamManager.closeStream();
       }
+    },
+    cancel() {
+      streamManager?.markDisconnected();
+    }
+  });
+}
+
+/**
+ * Creates a ReadableStream that replays a turn's events after the given ID,
+ * then follows the turn live until it completes
+ * @param {Object} turnBuffer - The turn buffer returned by getTurnBuffer
+ * @param {number} lastEventId - The last event ID the client received
+ * @returns {ReadableStream} A readable stream for SSE
+ */
+export function createResumeStream(turnBuffer, lastEventId) {
+  const encoder = new TextEncoder();
+  let unsubscribe = () => {};
+
+  return new ReadableStream({
+    start(controller) {
+      const send = ({ id, data }) => {
+        try {
+          controller.enqueue(encoder.encode(formatEvent(data, id)));
+        } catch (error) {
+          console.error('Error sending resumed stream message:', error);
+        }
+      };
+
+      turnBuffer.replay(lastEventId).forEach(send);
+
+      unsubscribe = turnBuffer.subscribe({
+        onEvent: send,
+        onComplete: () => {
+          try {
+            controller.close();
+          } catch (error) {
+            console.error('Error closing resumed stream:', error);
+          }
+        }
+      });
+    },
+    cancel() {
+      unsubscribe();
     }
   });
 }
 
 export default {
   createSseStream,
-  createStreamManager
+  createResumeStream,
+  createStreamManager,
+  createTurnBuffer,
+  getTurnBuffer,
+  cancelTurn
 };
\ No newline at end of file
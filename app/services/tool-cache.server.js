@@ -0,0 +1,86 @@
+/**
+ * Tool Cache Service
+ * Caches MCP tools/list results per shop so chat turns don't re-list tools on every message
+ */
+import AppConfig from "./config.server";
+
+// Cached tool lists by shop, then by endpoint cache key
+const shopCaches = new Map();
+
+/**
+ * Builds the cache key for an endpoint
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {string} [variant] - Distinguishes lists from the same endpoint, e.g. with and without auth
+ * @returns {string} The cache key
+ */
+function getCacheKey(endpoint, variant = "") {
+  // URLs can't contain spaces, so the endpoint is always recoverable as a prefix
+  return `${endpoint} ${variant}`;
+}
+
+/**
+ * Gets a cached tool list
+ * @param {string} shop - The shop domain
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {string} [variant] - The cache variant
+ * @returns {Array|null} The cached raw tools, or null when missing or expired
+ */
+export function getCachedTools(shop, endpoint, variant) {
+  const entry = shopCaches.get(shop)?.get(getCacheKey(endpoint, variant));
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    shopCaches.get(shop).delete(getCacheKey(endpoint, variant));
+    return null;
+  }
+
+  return entry.tools;
+}
+
+/**
+ * Caches a tool list
+ * @param {string} shop - The shop domain
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {string} variant - The cache variant
+ * @param {Array} tools - The raw tools returned by tools/list
+ */
+export function setCachedTools(shop, endpoint, variant, tools) {
+  if (!AppConfig.tools.listCacheTtlMs) return;
+
+  if (!shopCaches.has(shop)) {
+    shopCaches.set(shop, new Map());
+  }
+
+  shopCaches.get(shop).set(getCacheKey(endpoint, variant), {
+    tools,
+    expiresAt: Date.now() + AppConfig.tools.listCacheTtlMs
+  });
+}
+
+/**
+ * Drops cached tool lists, e.g. after a tools/list_changed notification or a settings change
+ * @param {string} shop - The shop domain
+ * @param {string} [endpoint] - Only drop lists from this endpoint; drops the whole shop when omitted
+ */
+export function invalidateCachedTools(shop, endpoint) {
+  const cache = shopCaches.get(shop);
+  if (!cache) return;
+
+  if (!endpoint) {
+    shopCaches.delete(shop);
+    return;
+  }
+
+  const prefix = getCacheKey(endpoint);
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) {
+      cache.delete(key);
+    }
+  }
+}
+
+export default {
+  getCachedTools,
+  setCachedTools,
+  invalidateCachedTools
+};
@@ -0,0 +1,63 @@
+/**
+ * Tool Policy Service
+ * Lists the tools a shop's MCP servers offer, for merchants to set policies on
+ */
+import MCPClient from "../mcp-client";
+import { listMcpServers, listToolPolicies } from "../db.server";
+
+// Longest description override accepted, roughly what servers send for their own tools
+export const MAX_DESCRIPTION_LENGTH = 1024;
+
+/**
+ * Lists the tools offered to the assistant for a shop, with their policies.
+ * Tools that have a policy but aren't currently listed by any server, e.g. because the
+ * server is down, are included with a null source so their policy can still be changed.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} Tools with name, description, source and policy, ordered by source
+ */
+export async function listShopTools(shop) {
+  const [servers, policies] = await Promise.all([
+    listMcpServers(shop, { enabledOnly: true }),
+    listToolPolicies(shop)
+  ]);
+
+  // Without policies, so disabled tools are listed too
+  const mcpClient = new MCPClient(`https://${shop}`, null, null, null, { shop });
+
+  try {
+    await mcpClient.connect(servers);
+  } finally {
+    mcpClient.disconnect().catch(() => {});
+  }
+
+  const policiesByName = new Map(policies.map((policy) => [policy.toolName, policy]));
+  const tools = [
+    ...mcpClient.storefrontTools.map((tool) => ({ ...tool, source: "Storefront" })),
+    ...mcpClient.customerTools.map((tool) => ({ ...tool, source: "Customer account" })),
+    ...mcpClient.tools
+      .filter((tool) => mcpClient.customServerTools.has(tool.name))
+      .map((tool) => ({ ...tool, source: mcpClient.customServerTools.get(tool.name).server.name }))
+  ];
+  const listedNames = new Set(tools.map((tool) => tool.name));
+
+  return [
+    ...tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description || "",
+      source: tool.source,
+      policy: policiesByName.get(tool.name) || null
+    })),
+    ...policies
+      .filter((policy) => !listedNames.has(policy.toolName))
+      .map((policy) => ({
+        name: policy.toolName,
+        description: "",
+        source: null,
+        policy
+      }))
+  ];
+}
+
+export default {
+  listShopTools
+};
@@ -1,6 +1,9 @@
 /**
  * Tool Service
  * Manages tool execution and processing
+ *
+ * MCP tool results are normalized before they are recorded: the model gets text for every
+ * content type, while images and links to resources are collected for the chat widget.
  */
 import { saveMessage } from "../db.server";
 import AppConfig from "./config.server";
@@ -10,6 +13,132 @@ import AppConfig from "./config.server";
  * @returns {Object} Tool service with methods for managing tools
  */
 export function createToolService() {
+  /**
+   * Normalizes an MCP tool result.
+   * Results with isError, and JSON-RPC errors, become error responses for handleToolError.
+   * Other results get text content for the model, the structured content if any,
+   * and the images and resource links to show to the customer.
+   * @param {Object} toolUseResponse - The tool result, or an error response from the MCP client
+   * @returns {Object} Either { error: { type, data } } or { content, structuredContent, media }
+   */
+  const normalizeToolResult = (toolUseResponse) => {
+    if (toolUseResponse?.error) {
+      const { error } = toolUseResponse;
+      return {
+        error: {
+          ...error,
+          type: error.type || "tool_error",
+          data: error.data ?? error.message ?? JSON.stringify(error)
+        }
+      };
+    }
+
+    const contentItems = Array.isArray(toolUseResponse?.content) ? toolUseResponse.content : [];
+    const structuredContent = toolUseResponse?.structuredContent ?? null;
+    const media = [];
+
+    const content = contentItems.map((item) => {
+      const { text, mediaItem } = normalizeContentItem(item);
+      if (mediaItem) media.push(mediaItem);
+      return { type: "text", text };
+    });
+
+    // Servers should mirror structured content as text, but not all do
+    if (content.length === 0 && structuredContent) {
+      content.push({ type: "text", text: JSON.stringify(structuredContent) });
+    }
+
+    if (toolUseResponse?.isError) {
+      return {
+        error: {
+          type: "tool_error",
+          data: content.map((block) => block.text).join("\n") || "The tool reported an error"
+        }
+      };
+    }
+
+    return { content, structuredContent, media };
+  };
+
+  /**
+   * Converts one MCP content item to text for the model and, for images and resources, media for the widget
+   * @param {Object} item - MCP content item (text, image, audio, resource or resource_link)
+   * @returns {{text: string, mediaItem: Object|null}} The model-facing text and the media to show, if any
+   */
+  const normalizeContentItem = (item) => {
+    switch (item?.type) {
+      case "text":
+        return { text: item.text ?? "", mediaItem: null };
+
+      case "image": {
+        // The model gets a placeholder rather than the base64 data
+        const tooLarge = estimateBase64Bytes(item.data) > AppConfig.tools.maxMediaBytes;
+        return {
+          text: tooLarge
+            ? `[Image (${item.mimeType}) too large to show to the customer]`
+            : `[Image (${item.mimeType}) shown to the customer]`,
+          mediaItem: tooLarge ? null : {
+            type: "image",
+            url: `data:${item.mimeType};base64,${item.data}`,
+            mime_type: item.mimeType
+          }
+        };
+      }
+
+      case "audio":
+        return { text: `[Audio (${item.mimeType}) not supported in this chat]`, mediaItem: null };
+
+      case "resource": {
+        const { resource = {} } = item;
+        if (typeof resource.text === "string") {
+          return { text: `Resource ${resource.uri}:\n${resource.text}`, mediaItem: null };
+        }
+
+        const isImage = resource.mimeType?.startsWith("image/") && resource.blob &&
+          estimateBase64Bytes(resource.blob) <= AppConfig.tools.maxMediaBytes;
+        return {
+          text: isImage
+            ? `[Image resource ${resource.uri} (${resource.mimeType}) shown to the customer]`
+            : `[Binary resource ${resource.uri} (${resource.mimeType || "unknown type"})]`,
+          mediaItem: isImage
+            ? { type: "image", url: `data:${resource.mimeType};base64,${resource.blob}`, mime_type: resource.mimeType }
+            : getResourceLink(resource.uri, resource.uri, resource.mimeType)
+        };
+      }
+
+      case "resource_link":
+        return {
+          text: `Resource link: ${item.name || item.uri} (${item.uri})${item.description ? ` - ${item.description}` : ""}`,
+          mediaItem: getResourceLink(item.uri, item.title || item.name, item.mimeType)
+        };
+
+      default:
+        return { text: JSON.stringify(item), mediaItem: null };
+    }
+  };
+
+  /**
+   * Creates a widget link for a resource, if the customer's browser can open it
+   * @param {string} uri - The resource URI
+   * @param {string} name - The resource name
+   * @param {string} [mimeType] - The resource MIME type
+   * @returns {Object|null} The media item, or null for URIs that aren't http(s)
+   */
+  const getResourceLink = (uri, name, mimeType) => {
+    if (!/^https?:\/\//i.test(uri || "")) return null;
+
+    return mimeType?.startsWith("image/")
+      ? { type: "image", url: uri, mime_type: mimeType }
+      : { type: "link", url: uri, name: name || uri, mime_type: mimeType || null };
+  };
+
+  /**
+   * Estimates the decoded size of base64 data
+   * @param {string} data - Base64 data
+   * @returns {number} Size in bytes
+   */
+  const estimateBase64Bytes = (data) => Math.floor(((data || "").length * 3) / 4);
+
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
@@ -32,25 +161,42 @@ export function createToolService() {
 
   /**
    * Handles a successful tool response
-   * @param {Object} toolUseResponse - The response from the tool
+   * @param {Object} toolUseResponse - The normalized response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
    * @param {Array} conversationHistory - The conversation history
    * @param {Array} productsToDisplay - Array to add product results to
    * @param {string} conversationId - The conversation ID
+   * @param {Function} [sendMessage] - Function to send messages to the client
    */
-  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId) => {
+  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId, sendMessage) => {
     // Check if this is a product search result
     if (toolName === AppConfig.tools.productSearchName) {
       productsToDisplay.push(...processProductSearchResult(toolUseResponse));
     }
 
+    // Show the cart to the customer whenever a cart tool returns it
+    if (AppConfig.tools.cartToolNames.includes(toolName)) {
+      const cart = processCartResult(toolUseResponse);
+      if (cart) {
+        sendMessage?.({ type: 'cart_update', cart });
+      }
+    }
+
+    // Show looked-up orders as a status card
+    if (AppConfig.tools.orderToolNames.includes(toolName)) {
+      const order = processOrderResult(toolUseResponse);
+      if (order) {
+        sendMessage?.({ type: 'order_status', order });
+      }
+    }
+
     addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.content, conversationId);
   };
 
   /**
    * Processes product search results
-   * @param {Object} toolUseResponse - The response from the tool
+   * @param {Object} toolUseResponse - The normalized response from the tool
    * @returns {Array} Processed product data
    */
   const processProductSearchResult = (toolUseResponse) => {
@@ -58,16 +204,11 @@ export function createToolService() {
       console.log("Processing product search result");
       let products = [];
 
-      if (toolUseResponse.content && toolUseResponse.content.length > 0) {
-        const content = toolUseResponse.content[0].text;
-
+      if (toolUseResponse.structuredContent || toolUseResponse.content?.length > 0) {
         try {
-          let responseData;
-          if (typeof content === 'object') {
-            responseData = content;
-          } else if (typeof content === 'string') {
-            responseData = JSON.parse(content);
-          }
+          // Prefer the structured result; older servers only send the JSON as text
+          const responseData = toolUseResponse.structuredContent ??
+            JSON.parse(toolUseResponse.content[0].text);
 
           if (responseData?.products && Array.isArray(responseData.products)) {
             products = responseData.products
@@ -88,6 +229,161 @@ export function createToolService() {
     }
   };
 
+  /**
+   * Processes cart tool results
+   * @param {Object} toolUseResponse - The normalized response from the tool
+   * @returns {Object|null} Formatted cart, or null when the result has no cart
+   */
+  const processCartResult = (toolUseResponse) => {
+    try {
+      const responseData = toolUseResponse.structuredContent ??
+        JSON.parse(toolUseResponse.content?.[0]?.text || "null");
+      const cart = responseData?.cart ?? responseData;
+
+      if (!cart?.id || !Array.isArray(cart.lines)) {
+        return null;
+      }
+
+      return formatCartData(cart);
+    } catch (error) {
+      console.error("Error parsing cart data:", error);
+      return null;
+    }
+  };
+
+  /**
+   * Formats a cart data object
+   * @param {Object} cart - Raw cart data
+   * @returns {Object} Formatted cart data
+   */
+  const formatCartData = (cart) => {
+    const cost = cart.cost || {};
+
+    return {
+      id: cart.id,
+      checkout_url: cart.checkout_url || cart.checkoutUrl || '',
+      total_quantity: cart.total_quantity ?? cart.totalQuantity ??
+        cart.lines.reduce((total, line) => total + (line.quantity || 0), 0),
+      subtotal: formatMoney(cost.subtotal_amount || cost.subtotalAmount),
+      lines: cart.lines.map((line) => {
+        const merchandise = line.merchandise || {};
+        const variantTitle = merchandise.title && merchandise.title !== 'Default Title' ? merchandise.title : '';
+
+        return {
+          id: line.id,
+          merchandise_id: merchandise.id || '',
+          title: merchandise.product?.title || merchandise.title || 'Product',
+          variant_title: variantTitle,
+          quantity: line.quantity || 0,
+          price: formatMoney(line.cost?.total_amount || line.cost?.totalAmount),
+          image_url: merchandise.image?.url || merchandise.product?.image_url || ''
+        };
+      })
+    };
+  };
+
+  /**
+   * Processes order status tool results
+   * @param {Object} toolUseResponse - The normalized response from the tool
+   * @returns {Object|null} Formatted order, or null when the result has no order
+   */
+  const processOrderResult = (toolUseResponse) => {
+    try {
+      const responseData = toolUseResponse.structuredContent ??
+        JSON.parse(toolUseResponse.content?.[0]?.text || "null");
+      const order = responseData?.order ?? responseData;
+
+      if (!order || typeof order !== 'object' || !(order.id || order.name)) {
+        return null;
+      }
+
+      return formatOrderData(order);
+    } catch (error) {
+      // Order tools may answer in prose, e.g. when the customer has no orders
+      console.log("Order result is not JSON, skipping order card");
+      return null;
+    }
+  };
+
+  /**
+   * Formats an order data object
+   * @param {Object} order - Raw order data, with snake_case or camelCase fields
+   * @returns {Object} Formatted order data with a fulfillment timeline
+   */
+  const formatOrderData = (order) => {
+    const fulfillments = toArray(order.fulfillments);
+    const trackingInfo = fulfillments.flatMap((fulfillment) =>
+      toArray(fulfillment.tracking_info || fulfillment.trackingInformation)
+    );
+    const deliveredFulfillment = fulfillments.find((fulfillment) =>
+      /delivered/i.test(fulfillment.status || fulfillment.displayStatus || '') ||
+      fulfillment.delivered_at || fulfillment.deliveredAt
+    );
+    const cancelledAt = order.cancelled_at || order.cancelledAt || null;
+
+    const timeline = [
+      { label: 'Ordered', date: order.processed_at || order.processedAt || order.created_at || order.createdAt || null, done: true },
+      {
+        label: 'Shipped',
+        date: fulfillments[0]?.created_at || fulfillments[0]?.createdAt || null,
+        done: fulfillments.length > 0
+      },
+      {
+        label: 'Delivered',
+        date: deliveredFulfillment?.delivered_at || deliveredFulfillment?.deliveredAt || null,
+        done: Boolean(deliveredFulfillment)
+      }
+    ];
+
+    return {
+      id: order.id || '',
+      name: order.name || '',
+      status: order.fulfillment_status || order.fulfillmentStatus || order.status || '',
+      cancelled: Boolean(cancelledAt),
+      total: formatMoney(order.total_price || order.totalPrice || order.total),
+      status_url: order.status_url || order.statusPageUrl || '',
+      timeline,
+      tracking: trackingInfo
+        .filter((tracking) => tracking?.url || tracking?.number)
+        .map((tracking) => ({
+          company: tracking.company || '',
+          number: tracking.number || '',
+          url: tracking.url || ''
+        })),
+      line_items: toArray(order.line_items || order.lineItems).map((item) => ({
+        title: item.title || item.name || 'Item',
+        variant_title: item.variant_title || item.variantTitle || '',
+        quantity: item.quantity || 0,
+        image_url: item.image?.url || item.image_url || ''
+      })),
+      // Only orders that have shipped can be returned
+      returnable: !cancelledAt && fulfillments.length > 0
+    };
+  };
+
+  /**
+   * Converts a list from a tool result to an array, including GraphQL connections
+   * @param {Array|Object} value - An array, or a connection with nodes or edges
+   * @returns {Array} The list items
+   */
+  const toArray = (value) => {
+    if (Array.isArray(value)) return value;
+    if (Array.isArray(value?.nodes)) return value.nodes;
+    if (Array.isArray(value?.edges)) return value.edges.map((edge) => edge.node);
+    return [];
+  };
+
+  /**
+   * Formats a money amount the way product prices are shown
+   * @param {Object} [money] - Money with amount and currency or currency_code
+   * @returns {string} The formatted amount, or an empty string when unknown
+   */
+  const formatMoney = (money) => {
+    if (!money?.amount) return '';
+    const currency = money.currency || money.currency_code || money.currencyCode || '';
+    return `${currency} ${money.amount}`.trim();
+  };
+
   /**
    * Formats a product data object
    * @param {Object} product - Raw product data
@@ -141,9 +437,12 @@ export function createToolService() {
   };
 
   return {
+    normalizeToolResult,
     handleToolError,
     handleToolSuccess,
     processProductSearchResult,
+    processCartResult,
+    processOrderResult,
     addToolResultToHistory
   };
 }
@@ -0,0 +1,156 @@
+/**
+ * URL Safety Service
+ * Keeps server-side requests to merchant-supplied URLs, such as third-party MCP servers,
+ * away from the app's own network: loopback, private, link-local and cloud metadata addresses.
+ */
+import { lookup as lookupCallback } from "node:dns";
+import { lookup } from "node:dns/promises";
+import { request } from "node:https";
+import { BlockList, isIP } from "node:net";
+import { Readable } from "node:stream";
+
+// Addresses that aren't reachable on the public internet.
+// IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are checked against the IPv4 ranges.
+const privateAddresses = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, including cloud metadata at 169.254.169.254
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv6"));
+
+// Host names that only resolve inside a private network
+const PRIVATE_HOST_PATTERN = /(^|\.)(localhost|local|internal)$/i;
+
+/**
+ * Checks whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for public addresses
+ */
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+
+  return !privateAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Checks that a URL uses https and that its host resolves only to public addresses
+ * @param {string} url - The URL to check
+ * @returns {Promise<string|null>} Why the URL can't be used, or null when it is safe to request
+ */
+export async function validatePublicUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return "Enter an https URL";
+  }
+
+  if (parsedUrl.protocol !== "https:") {
+    return "Enter an https URL";
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, "");
+  if (PRIVATE_HOST_PATTERN.test(hostname)) {
+    return "The URL must point to a public server";
+  }
+
+  let addresses;
+  try {
+    addresses = isIP(hostname)
+      ? [hostname]
+      : (await lookup(hostname, { all: true })).map(({ address }) => address);
+  } catch (error) {
+    return `The server's host name couldn't be resolved (${error.code || error.message})`;
+  }
+
+  if (!addresses.every(isPublicAddress)) {
+    return "The URL must point to a public server";
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a host name like dns.lookup, failing when it resolves to an address that isn't public.
+ * Used as the connection's lookup, so the address checked is the address connected to.
+ * @param {string} hostname - The host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called with (error, address, family), or (error, addresses) when options.all is set
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+  lookupCallback(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+      const privateError = new Error(`${hostname} resolves to an address that isn't public`);
+      privateError.code = "EPRIVATEADDRESS";
+      return callback(privateError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Sends an https request to a URL supplied by a merchant, connecting only to public addresses.
+ * The host name is resolved again for every connection, so one that resolved to a public
+ * address when validatePublicUrl checked it can't be switched to a private one afterwards.
+ * Redirects aren't followed: the redirect response itself is returned.
+ * @param {string} url - The https URL
+ * @param {Object} [init] - The subset of fetch options supported
+ * @param {string} [init.method] - HTTP method
+ * @param {Object} [init.headers] - HTTP headers
+ * @param {string} [init.body] - Request body
+ * @param {AbortSignal} [init.signal] - Aborts the request
+ * @returns {Promise<Response>} Fetch response, streaming its body
+ * @throws {TypeError} When the request fails, as fetch does; an aborted request rejects with the signal's reason
+ */
+export function fetchPublicUrl(url, { method = "GET", headers = {}, body, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const clientRequest = request(url, { method, headers, signal, lookup: lookupPublicAddress }, (response) => {
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(response.headers)) {
+        [].concat(value).forEach((item) => responseHeaders.append(name, item));
+      }
+
+      const hasBody = method !== "HEAD" && ![204, 205, 304].includes(response.statusCode);
+      if (!hasBody) response.resume();
+
+      resolve(new Response(hasBody ? Readable.toWeb(response) : null, {
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers: responseHeaders
+      }));
+    });
+
+    clientRequest.on("error", (error) => {
+      reject(signal?.aborted ? signal.reason : new TypeError("fetch failed", { cause: error }));
+    });
+    clientRequest.end(body);
+  });
+}
+
+export default {
+  isPublicAddress,
+  validatePublicUrl,
+  lookupPublicAddress,
+  fetchPublicUrl
+};
@@ -0,0 +1,108 @@
+/**
+ * Usage Service
+ * Estimates LLM costs and aggregates token usage for reporting
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Finds the price entry for a model, matching the longest configured prefix
+ * @param {string} model - The model name
+ * @returns {Object|null} Price per million tokens ({ input, output }) or null if unknown
+ */
+export function getModelPrice(model) {
+  if (!model) return null;
+
+  const match = Object.keys(AppConfig.pricing)
+    .filter((prefix) => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? AppConfig.pricing[match] : null;
+}
+
+/**
+ * Estimates the cost of a model call
+ * @param {string} model - The model name
+ * @param {Object} usage - Token usage
+ * @param {number} usage.inputTokens - Input tokens
+ * @param {number} usage.outputTokens - Output tokens
+ * @returns {number|null} Estimated cost in USD, or null when the model has no price
+ */
+export function estimateCost(model, { inputTokens = 0, outputTokens = 0 }) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Builds the usage record stored with an assistant message
+ * @param {Object} message - Final message returned by streamConversation
+ * @returns {Object} Usage with model, inputTokens, outputTokens and cost
+ */
+export function getMessageUsage(message) {
+  if (!message?.usage) {
+    return { model: message?.model };
+  }
+
+  const inputTokens = message.usage.input_tokens ?? 0;
+  const outputTokens = message.usage.output_tokens ?? 0;
+
+  return {
+    model: message.model,
+    inputTokens,
+    outputTokens,
+    cost: estimateCost(message.model, { inputTokens, outputTokens })
+  };
+}
+
+/**
+ * Aggregates usage rows into totals, daily and per-model breakdowns
+ * @param {Array} rows - Model calls returned by getShopUsage
+ * @returns {Object} Usage summary, counting assistant responses as messages and summary calls as summaries
+ */
+export function summarizeUsage(rows) {
+  const emptyTotals = () => ({ messages: 0, summaries: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+  const totals = { ...emptyTotals(), conversations: 0 };
+  const byDay = new Map();
+  const byModel = new Map();
+  const conversations = new Set();
+
+  const add = (target, row) => {
+    if (row.summary) {
+      target.summaries += 1;
+    } else {
+      target.messages += 1;
+    }
+    target.inputTokens += row.inputTokens || 0;
+    target.outputTokens += row.outputTokens || 0;
+    target.cost += row.cost || 0;
+  };
+
+  for (const row of rows) {
+    const day = row.createdAt.toISOString().slice(0, 10);
+    const model = row.model || 'unknown';
+
+    if (!byDay.has(day)) byDay.set(day, { date: day, ...emptyTotals() });
+    if (!byModel.has(model)) byModel.set(model, { model, ...emptyTotals() });
+
+    add(totals, row);
+    add(byDay.get(day), row);
+    add(byModel.get(model), row);
+    conversations.add(row.conversationId);
+  }
+
+  totals.conversations = conversations.size;
+
+  return {
+    totals,
+    byDay: Array.from(byDay.values()),
+    byModel: Array.from(byModel.values()).sort((a, b) => b.cost - a.cost)
+  };
+}
+
+export default {
+  getModelPrice,
+  estimateCost,
+  getMessageUsage,
+  summarizeUsage
+};
@@ -7,6 +7,33 @@
 (function() {
   'use strict';
 
+  // Used when the theme block doesn't set a backend URL, e.g. while developing with `shopify app dev`
+  const DEFAULT_BACKEND_URL = 'https://localhost:3458';
+
+  // How long the widget keeps reopening a conversation after its last message
+  const CONVERSATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+  // Markdown in messages is rendered with these tags and attributes only
+  const ALLOWED_TAGS = [
+    'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'hr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'img', 'span'
+  ];
+  const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'target', 'rel', 'class'],
+    img: ['src', 'alt', 'loading'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  };
+
+  // Hosts other than the shop's own that images in messages may load from
+  const IMAGE_HOSTS = ['cdn.shopify.com'];
+
+  // Photos a shopper can attach to one message, and the longest side they are scaled down to
+  const MAX_IMAGES_PER_MESSAGE = 3;
+  const MAX_IMAGE_DIMENSION = 1568;
+
   /**
    * Application namespace to prevent global scope pollution
    */
@@ -31,8 +58,13 @@
           chatBubble: container.querySelector('.shop-ai-chat-bubble'),
           chatWindow: container.querySelector('.shop-ai-chat-window'),
           closeButton: container.querySelector('.shop-ai-chat-close'),
-          chatInput: container.querySelector('.shop-ai-chat-input input'),
+          historyButton: container.querySelector('.shop-ai-chat-history'),
+          chatInput: container.querySelector('.shop-ai-chat-input input[type="text"]'),
+          attachButton: container.querySelector('.shop-ai-chat-attach'),
+          fileInput: container.querySelector('.shop-ai-chat-file'),
+          attachmentsContainer: container.querySelector('.shop-ai-chat-attachments'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
+          stopButton: container.querySelector('.shop-ai-chat-stop'),
           messagesContainer: container.querySelector('.shop-ai-chat-messages')
         };
 
@@ -52,7 +84,8 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { chatBubble, closeButton, historyButton, chatInput, attachButton, fileInput, sendButton, stopButton, messagesContainer } = this.elements;
+        const hasInput = () => chatInput.value.trim() !== '' || ShopAIChat.Attachments.pending.length > 0;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -60,9 +93,23 @@
         // Close chat window
         closeButton.addEventListener('click', () => this.closeChatWindow());
 
+        // Show or hide the customer's past conversations
+        historyButton.addEventListener('click', () => ShopAIChat.Conversations.togglePanel());
+
+        // Follow conversations started or reopened in the shop's other tabs
+        window.addEventListener('storage', (event) => {
+          if (event.key !== ShopAIChat.Storage.conversationKey) return;
+
+          const previousId = ShopAIChat.Storage.parseEntry(event.oldValue)?.id || null;
+          const conversationId = ShopAIChat.Storage.getConversationId();
+          if (conversationId !== previousId) {
+            ShopAIChat.Conversations.open(conversationId, { persist: false });
+          }
+        });
+
         // Send message when pressing Enter in input
         chatInput.addEventListener('keypress', (e) => {
-          if (e.key === 'Enter' && chatInput.value.trim() !== '') {
+          if (e.key === 'Enter' && hasInput()) {
             ShopAIChat.Message.send(chatInput, messagesContainer);
 
             // On mobile, handle keyboard
@@ -75,7 +122,7 @@
 
         // Send message when clicking send button
         sendButton.addEventListener('click', () => {
-          if (chatInput.value.trim() !== '') {
+          if (hasInput()) {
             ShopAIChat.Message.send(chatInput, messagesContainer);
 
             // On mobile, focus input after sending
@@ -85,6 +132,25 @@
           }
         });
 
+        // Attach photos picked from the device or pasted into the input
+        attachButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+          ShopAIChat.Attachments.addFiles(Array.from(fileInput.files));
+          fileInput.value = '';
+        });
+        chatInput.addEventListener('paste', (e) => {
+          const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+          if (files.length > 0) {
+            e.preventDefault();
+            ShopAIChat.Attachments.addFiles(files);
+          }
+        });
+
+        // Stop the response that is currently streaming
+        stopButton.addEventListener('click', () => {
+          ShopAIChat.API.cancelResponse();
+        });
+
         // Handle window resize to adjust scrolling
         window.addEventListener('resize', () => this.scrollToBottom());
 
@@ -159,6 +225,18 @@
         }, 100);
       },
 
+      /**
+       * Swap the send button for a stop button while a response is streaming
+       * @param {boolean} isStreaming - Whether a response is streaming
+       */
+      setStreaming: function(isStreaming) {
+        const { sendButton, stopButton } = this.elements;
+
+        sendButton.hidden = isStreaming;
+        stopButton.hidden = !isStreaming;
+        stopButton.disabled = false;
+      },
+
       /**
        * Show typing indicator in the chat
        */
@@ -220,6 +298,42 @@
         }
 
         this.scrollToBottom();
+      },
+
+      /**
+       * Display images and resource links returned by a tool
+       * @param {Array} media - Media items with type ('image' or 'link'), url and optional name
+       */
+      displayToolMedia: function(media) {
+        const { messagesContainer } = this.elements;
+
+        const mediaSection = document.createElement('div');
+        mediaSection.classList.add('shop-ai-tool-media');
+
+        media.forEach(item => {
+          // Only show images the server inlined or web URLs
+          if (!/^(https?:|data:image\/)/i.test(item.url || '')) return;
+
+          if (item.type === 'image') {
+            const image = document.createElement('img');
+            image.src = item.url;
+            image.alt = item.name || '';
+            image.loading = 'lazy';
+            mediaSection.appendChild(image);
+          } else if (item.type === 'link') {
+            const link = document.createElement('a');
+            link.href = item.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = item.name || item.url;
+            mediaSection.appendChild(link);
+          }
+        });
+
+        if (mediaSection.childElementCount > 0) {
+          messagesContainer.appendChild(mediaSection);
+          this.scrollToBottom();
+        }
       }
     },
 
@@ -234,10 +348,16 @@
        */
       send: async function(chatInput, messagesContainer) {
         const userMessage = chatInput.value.trim();
-        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        const images = ShopAIChat.Attachments.take();
+        const conversationId = ShopAIChat.Storage.getConversationId();
 
         // Add user message to chat
-        this.add(userMessage, 'user', messagesContainer);
+        if (userMessage) {
+          this.add(userMessage, 'user', messagesContainer);
+        }
+        if (images.length > 0) {
+          this.addImages(images, 'user', messagesContainer);
+        }
 
         // Clear input
         chatInput.value = '';
@@ -246,7 +366,7 @@
         ShopAIChat.UI.showTypingIndicator();
 
         try {
-          ShopAIChat.API.streamResponse(userMessage, conversationId, messagesContainer);
+          ShopAIChat.API.streamResponse(userMessage, conversationId, messagesContainer, images);
         } catch (error) {
           console.error('Error communicating with Claude API:', error);
           ShopAIChat.UI.removeTypingIndicator();
@@ -278,6 +398,31 @@
         return messageElement;
       },
 
+      /**
+       * Add a message showing images, such as photos the shopper attached
+       * @param {Array<string>} urls - Image URLs, including data URLs of new attachments
+       * @param {string} sender - Message sender ('user' or 'assistant')
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement} The created message element
+       */
+      addImages: function(urls, sender, messagesContainer) {
+        const messageElement = document.createElement('div');
+        messageElement.classList.add('shop-ai-message', sender, 'shop-ai-message-images');
+
+        urls.forEach(url => {
+          const image = document.createElement('img');
+          image.src = url;
+          image.alt = 'Attached photo';
+          image.addEventListener('load', () => ShopAIChat.UI.scrollToBottom());
+          messageElement.appendChild(image);
+        });
+
+        messagesContainer.appendChild(messageElement);
+        ShopAIChat.UI.scrollToBottom();
+
+        return messageElement;
+      },
+
       /**
        * Add a tool use message to the chat with expandable arguments
        * @param {string} toolMessage - Tool use message content
@@ -349,6 +494,79 @@
 
         messagesContainer.appendChild(toolUseElement);
         ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Add a tool call that needs the shopper's approval, with Approve and Decline buttons
+       * @param {Object} data - Event data with confirmation_id and summary
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addToolConfirmation: function(data, messagesContainer) {
+        // A resumed stream replays the event; keep the card that is already shown
+        if (messagesContainer.querySelector(`[data-confirmation-id="${CSS.escape(data.confirmation_id)}"]`)) {
+          return;
+        }
+
+        const confirmationElement = document.createElement('div');
+        confirmationElement.classList.add('shop-ai-message', 'tool-confirmation');
+        confirmationElement.dataset.confirmationId = data.confirmation_id;
+
+        const summaryElement = document.createElement('div');
+        summaryElement.classList.add('shop-ai-confirmation-summary');
+        summaryElement.textContent = data.summary;
+
+        const actionsElement = document.createElement('div');
+        actionsElement.classList.add('shop-ai-confirmation-actions');
+
+        const approveButton = document.createElement('button');
+        approveButton.type = 'button';
+        approveButton.classList.add('shop-ai-confirmation-approve');
+        approveButton.textContent = 'Approve';
+
+        const declineButton = document.createElement('button');
+        declineButton.type = 'button';
+        declineButton.classList.add('shop-ai-confirmation-decline');
+        declineButton.textContent = 'Decline';
+
+        const decide = function(approved) {
+          approveButton.disabled = true;
+          declineButton.disabled = true;
+          ShopAIChat.API.sendToolDecision(data.confirmation_id, approved, messagesContainer);
+        };
+        approveButton.addEventListener('click', function() { decide(true); });
+        declineButton.addEventListener('click', function() { decide(false); });
+
+        actionsElement.appendChild(approveButton);
+        actionsElement.appendChild(declineButton);
+        confirmationElement.appendChild(summaryElement);
+        confirmationElement.appendChild(actionsElement);
+
+        messagesContainer.appendChild(confirmationElement);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Replace a confirmation card's buttons with the outcome
+       * @param {string} confirmationId - The confirmation ID
+       * @param {string} status - Text describing the outcome
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      resolveToolConfirmation: function(confirmationId, status, messagesContainer) {
+        const confirmationElement = messagesContainer.querySelector(`[data-confirmation-id="${CSS.escape(confirmationId)}"]`);
+        if (!confirmationElement) return;
+
+        const actionsElement = confirmationElement.querySelector('.shop-ai-confirmation-actions');
+        if (actionsElement) {
+          actionsElement.remove();
+        }
+
+        let statusElement = confirmationElement.querySelector('.shop-ai-confirmation-status');
+        if (!statusElement) {
+          statusElement = document.createElement('div');
+          statusElement.classList.add('shop-ai-confirmation-status');
+          confirmationElement.appendChild(statusElement);
+        }
+        statusElement.textContent = status;
       }
     },
 
@@ -356,6 +574,9 @@
      * Text formatting and markdown handling
      */
     Formatting: {
+      // Elements waiting for their next streamed render
+      pendingElements: new WeakSet(),
+
       /**
        * Format message content with markdown and links
        * @param {HTMLElement} element - The element to format
@@ -363,100 +584,385 @@
       formatMessageContent: function(element) {
         if (!element || !element.dataset.rawText) return;
 
-        const rawText = element.dataset.rawText;
-
-        // Process the text with various Markdown features
-        let processedText = rawText;
-
-        // Process Markdown links
-        const markdownLinkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-        processedText = processedText.replace(markdownLinkRegex, (match, text, url) => {
-          // Check if it's an auth URL
-          if (url.includes('shopify.com/authentication') &&
-             (url.includes('oauth/authorize') || url.includes('authentication'))) {
-            // Store the auth URL in a global variable for later use - this avoids issues with onclick handlers
-            window.shopAuthUrl = url;
-            // Just return normal link that will be handled by the document click handler
-            return '<a href="#auth" class="shop-auth-trigger">' + text + '</a>';
-          }
-          // If it's a checkout link, replace the text
-          else if (url.includes('/cart') || url.includes('checkout')) {
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">click here to proceed to checkout</a>';
-          } else {
-            // For normal links, preserve the original text
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">' + text + '</a>';
-          }
-        });
+        element.replaceChildren(this.renderMarkdown(element.dataset.rawText));
+      },
+
+      /**
+       * Format a streaming message at most once per frame, so it renders as it arrives
+       * @param {HTMLElement} element - The element to format
+       */
+      scheduleFormat: function(element) {
+        if (this.pendingElements.has(element)) return;
 
-        // Convert text to HTML with proper list handling
-        processedText = this.convertMarkdownToHtml(processedText);
+        this.pendingElements.add(element);
+        requestAnimationFrame(() => {
+          this.pendingElements.delete(element);
+          this.formatMessageContent(element);
+        });
+      },
 
-        // Apply the formatted HTML
-        element.innerHTML = processedText;
+      /**
+       * Render Markdown as DOM nodes. Text is never parsed as HTML, and elements are
+       * only created from the allow-listed tags and attributes.
+       * @param {string} text - Markdown text to render
+       * @returns {DocumentFragment} The rendered content
+       */
+      renderMarkdown: function(text) {
+        const fragment = document.createDocumentFragment();
+        this.renderBlocks(text.replace(/\r\n?/g, '\n').split('\n'), fragment);
+        return fragment;
       },
 
       /**
-       * Convert Markdown text to HTML with list support
-       * @param {string} text - Markdown text to convert
-       * @returns {string} HTML content
+       * Render block-level Markdown: paragraphs, headings, lists, quotes, code blocks, tables and rules
+       * @param {Array<string>} lines - The lines to render
+       * @param {Node} parent - The node to append to
        */
-      convertMarkdownToHtml: function(text) {
-        text = text.replace(/(\*\*|__)(.*?)\1/g, '<strong>$2</strong>');
-        const lines = text.split('\n');
-        let currentList = null;
-        let listItems = [];
-        let htmlContent = '';
-        let startNumber = 1;
+      renderBlocks: function(lines, parent) {
+        let i = 0;
 
-        for (let i = 0; i < lines.length; i++) {
+        while (i < lines.length) {
           const line = lines[i];
-          const unorderedMatch = line.match(/^\s*([-*])\s+(.*)/);
-          const orderedMatch = line.match(/^\s*(\d+)[\.)]\s+(.*)/);
-
-          if (unorderedMatch) {
-            if (currentList !== 'ul') {
-              if (currentList === 'ol') {
-                htmlContent += `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-                listItems = [];
-              }
-              currentList = 'ul';
+
+          if (line.trim() === '') {
+            i++;
+            continue;
+          }
+
+          // Fenced code block; an unclosed fence runs to the end, e.g. while streaming
+          const fence = line.match(/^\s*(```|~~~)/);
+          if (fence) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+              codeLines.push(lines[i]);
+              i++;
             }
-            listItems.push('<li>' + unorderedMatch[2] + '</li>');
-          } else if (orderedMatch) {
-            if (currentList !== 'ol') {
-              if (currentList === 'ul') {
-                htmlContent += '<ul>' + listItems.join('') + '</ul>';
-                listItems = [];
-              }
-              currentList = 'ol';
-              startNumber = parseInt(orderedMatch[1], 10);
+            i++;
+            const pre = this.createElement('pre');
+            pre.appendChild(this.createElement('code')).textContent = codeLines.join('\n');
+            parent.appendChild(pre);
+            continue;
+          }
+
+          const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+          if (heading) {
+            this.renderInline(heading[2], parent.appendChild(this.createElement(`h${heading[1].length}`)));
+            i++;
+            continue;
+          }
+
+          if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            parent.appendChild(this.createElement('hr'));
+            i++;
+            continue;
+          }
+
+          if (/^\s*>/.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+              quoteLines.push(lines[i].replace(/^\s*>\s?/, ''));
+              i++;
             }
-            listItems.push('<li>' + orderedMatch[2] + '</li>');
+            this.renderBlocks(quoteLines, parent.appendChild(this.createElement('blockquote')));
+            continue;
+          }
+
+          if (this.isTableStart(lines, i)) {
+            i = this.renderTable(lines, i, parent);
+            continue;
+          }
+
+          if (this.matchListItem(line)) {
+            i = this.renderList(lines, i, parent);
+            continue;
+          }
+
+          // Paragraph: consecutive lines up to a blank line or another block, keeping line breaks
+          const paragraph = this.createElement('p');
+          let first = true;
+          while (i < lines.length && lines[i].trim() !== '' && (first || !this.startsBlock(lines, i))) {
+            if (!first) paragraph.appendChild(this.createElement('br'));
+            this.renderInline(lines[i].trim(), paragraph);
+            first = false;
+            i++;
+          }
+          parent.appendChild(paragraph);
+        }
+      },
+
+      /**
+       * Check whether a line starts a block other than a paragraph
+       * @param {Array<string>} lines - All lines
+       * @param {number} index - The line to check
+       * @returns {boolean} True when the line starts a new block
+       */
+      startsBlock: function(lines, index) {
+        const line = lines[index];
+        return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) ||
+          /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+          Boolean(this.matchListItem(line)) ||
+          this.isTableStart(lines, index);
+      },
+
+      /**
+       * Match a list item line
+       * @param {string} line - The line to match
+       * @returns {Object|null} The item's indent, list type, start number and text
+       */
+      matchListItem: function(line) {
+        const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (!match) return null;
+
+        const ordered = /\d/.test(match[2]);
+        return {
+          indent: match[1].length,
+          type: ordered ? 'ol' : 'ul',
+          start: ordered ? parseInt(match[2], 10) : null,
+          text: match[3]
+        };
+      },
+
+      /**
+       * Render a list starting at a line. Lines indented under an item, such as nested lists, belong to it.
+       * @param {Array<string>} lines - All lines
+       * @param {number} index - The list's first line
+       * @param {Node} parent - The node to append to
+       * @returns {number} The index of the first line after the list
+       */
+      renderList: function(lines, index, parent) {
+        const first = this.matchListItem(lines[index]);
+        const list = this.createElement(first.type, first.type === 'ol' && first.start !== 1 ? { start: first.start } : {});
+        let i = index;
+
+        while (i < lines.length) {
+          const item = this.matchListItem(lines[i]);
+          if (!item || item.indent !== first.indent || item.type !== first.type) break;
+          i++;
+
+          // Collect the lines indented under this item
+          const childLines = [];
+          while (i < lines.length && lines[i].trim() !== '' && lines[i].match(/^\s*/)[0].length > first.indent) {
+            childLines.push(lines[i]);
+            i++;
+          }
+
+          const li = list.appendChild(this.createElement('li'));
+          this.renderInline(item.text, li);
+          if (childLines.length > 0) {
+            const indent = Math.min(...childLines.map(childLine => childLine.match(/^\s*/)[0].length));
+            this.renderBlocks(childLines.map(childLine => childLine.slice(indent)), li);
+          }
+
+          // Items separated by a blank line still belong to the same list
+          if (i < lines.length - 1 && lines[i].trim() === '' && this.isSibling(lines[i + 1], first)) {
+            i++;
+          }
+        }
+
+        parent.appendChild(list);
+        return i;
+      },
+
+      /**
+       * Check whether a line is another item of the same list
+       * @param {string} line - The line to check
+       * @param {Object} first - The list's first item
+       * @returns {boolean} True for an item of the same type at the same indent
+       */
+      isSibling: function(line, first) {
+        const item = this.matchListItem(line);
+        return Boolean(item) && item.indent === first.indent && item.type === first.type;
+      },
+
+      /**
+       * Check whether a table starts at a line: a row followed by a delimiter row such as |---|:--:|
+       * @param {Array<string>} lines - All lines
+       * @param {number} index - The line to check
+       * @returns {boolean} True when a table starts here
+       */
+      isTableStart: function(lines, index) {
+        return lines[index].includes('|') && index + 1 < lines.length &&
+          /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[index + 1]) &&
+          lines[index + 1].includes('-');
+      },
+
+      /**
+       * Render a table starting at a line
+       * @param {Array<string>} lines - All lines
+       * @param {number} index - The table's header line
+       * @param {Node} parent - The node to append to
+       * @returns {number} The index of the first line after the table
+       */
+      renderTable: function(lines, index, parent) {
+        const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        const aligns = splitRow(lines[index + 1]).map((cell) => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          return cell.startsWith(':') ? 'left' : null;
+        });
+
+        const addRow = (section, cells, cellTag) => {
+          const tr = section.appendChild(this.createElement('tr'));
+          aligns.forEach((align, column) => {
+            const cell = tr.appendChild(this.createElement(cellTag, align ? { align } : {}));
+            this.renderInline(cells[column] || '', cell);
+          });
+        };
+
+        const table = this.createElement('table');
+        addRow(table.appendChild(this.createElement('thead')), splitRow(lines[index]), 'th');
+
+        const tbody = table.appendChild(this.createElement('tbody'));
+        let i = index + 2;
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+          addRow(tbody, splitRow(lines[i]), 'td');
+          i++;
+        }
+
+        parent.appendChild(table);
+        return i;
+      },
+
+      /**
+       * Render inline Markdown: code, images, links, bare URLs, bold, italic and strikethrough
+       * @param {string} text - The text to render
+       * @param {Node} parent - The node to append to
+       */
+      renderInline: function(text, parent) {
+        const pattern = /`([^`]+)`|!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)|\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)|(https?:\/\/[^\s<>()]+[^\s<>().,:;!?'"])|(\*\*|__)(.+?)\7|~~(.+?)~~|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b/;
+        let rest = text;
+
+        while (rest) {
+          const match = rest.match(pattern);
+          if (!match) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
+          }
+
+          if (match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+          }
+
+          const [, code, imageAlt, imageUrl, linkText, linkUrl, bareUrl, , bold, strike, italic, underscoreItalic] = match;
+          if (code !== undefined) {
+            parent.appendChild(this.createElement('code')).textContent = code;
+          } else if (imageUrl !== undefined) {
+            parent.appendChild(this.createImage(imageUrl, imageAlt));
+          } else if (linkUrl !== undefined) {
+            parent.appendChild(this.createLink(linkUrl, linkText));
+          } else if (bareUrl !== undefined) {
+            parent.appendChild(this.createLink(bareUrl, null));
+          } else if (bold !== undefined) {
+            this.renderInline(bold, parent.appendChild(this.createElement('strong')));
+          } else if (strike !== undefined) {
+            this.renderInline(strike, parent.appendChild(this.createElement('del')));
           } else {
-            if (currentList) {
-              htmlContent += currentList === 'ul'
-                ? '<ul>' + listItems.join('') + '</ul>'
-                : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-              listItems = [];
-              currentList = null;
-            }
+            this.renderInline(italic ?? underscoreItalic, parent.appendChild(this.createElement('em')));
+          }
 
-            if (line.trim() === '') {
-              htmlContent += '<br>';
-            } else {
-              htmlContent += '<p>' + line + '</p>';
-            }
+          rest = rest.slice(match.index + match[0].length);
+        }
+      },
+
+      /**
+       * Create a link, or plain text when the URL isn't allowed.
+       * Links may only point at the shop over http(s); customer login links open the login popup.
+       * @param {string} url - The link URL
+       * @param {string|null} text - The link text, which may contain inline Markdown, or null to show the URL
+       * @returns {Node} The link element or text
+       */
+      createLink: function(url, text) {
+        const renderText = (parent) => {
+          if (text === null) {
+            parent.appendChild(document.createTextNode(url));
+          } else {
+            this.renderInline(text, parent);
           }
+          return parent;
+        };
+
+        const parsed = this.parseUrl(url);
+        if (!parsed) {
+          return renderText(document.createDocumentFragment());
+        }
+
+        if (parsed.protocol === 'https:' && parsed.hostname === 'shopify.com' &&
+            parsed.pathname.startsWith('/authentication')) {
+          // Store the auth URL for the document click handler, which opens it in a popup
+          window.shopAuthUrl = parsed.href;
+          return renderText(this.createElement('a', { href: '#auth', class: 'shop-auth-trigger' }));
+        }
+
+        if (!this.isShopHost(parsed.hostname)) {
+          return renderText(document.createDocumentFragment());
+        }
+
+        const link = this.createElement('a', { href: parsed.href, target: '_blank', rel: 'noopener noreferrer' });
+        if (parsed.pathname.startsWith('/cart') || parsed.pathname.includes('checkout')) {
+          link.textContent = 'click here to proceed to checkout';
+          return link;
+        }
+        return renderText(link);
+      },
+
+      /**
+       * Create an image, or its alt text when the URL isn't allowed.
+       * Images load over https from the shop or Shopify's CDN only, so messages can't send data elsewhere.
+       * @param {string} url - The image URL
+       * @param {string} alt - The alt text
+       * @returns {Node} The image element or text
+       */
+      createImage: function(url, alt) {
+        const parsed = this.parseUrl(url);
+        if (!parsed || parsed.protocol !== 'https:' ||
+            !(this.isShopHost(parsed.hostname) || IMAGE_HOSTS.includes(parsed.hostname))) {
+          return document.createTextNode(alt);
         }
 
-        if (currentList) {
-          htmlContent += currentList === 'ul'
-            ? '<ul>' + listItems.join('') + '</ul>'
-            : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
+        return this.createElement('img', { src: parsed.href, alt, loading: 'lazy' });
+      },
+
+      /**
+       * Parse a link or image URL, resolving relative URLs against the storefront
+       * @param {string} url - The URL to parse
+       * @returns {URL|null} The URL, or null when it isn't a valid http(s) URL
+       */
+      parseUrl: function(url) {
+        try {
+          const parsed = new URL(url, window.location.origin);
+          return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+        } catch (error) {
+          return null;
         }
+      },
+
+      /**
+       * Check whether a hostname is the shop's own: the storefront's or its myshopify domain
+       * @param {string} hostname - The hostname to check
+       * @returns {boolean} True for the shop's domains
+       */
+      isShopHost: function(hostname) {
+        return hostname === window.location.hostname || hostname === window.shopDomain;
+      },
+
+      /**
+       * Create an element from the allow-list, dropping any attribute it doesn't allow
+       * @param {string} tag - The tag name
+       * @param {Object} [attributes] - Attributes to set
+       * @returns {HTMLElement} The element, or a span when the tag isn't allowed
+       */
+      createElement: function(tag, attributes = {}) {
+        const element = document.createElement(ALLOWED_TAGS.includes(tag) ? tag : 'span');
+        const allowedAttributes = ALLOWED_ATTRIBUTES[element.localName] || [];
+
+        Object.entries(attributes).forEach(([name, value]) => {
+          if (allowedAttributes.includes(name)) {
+            element.setAttribute(name, String(value));
+          }
+        });
 
-        htmlContent = htmlContent.replace(/<\/p><p>/g, '</p>\n<p>');
-        return htmlContent;
+        return element;
       }
     },
 
@@ -464,40 +970,54 @@
      * API communication and data handling
      */
     API: {
+      /**
+       * Build the URL of a backend endpoint from the backend URL set on the theme block
+       * @param {string} path - Endpoint path, e.g. '/chat'
+       * @param {Object} [params] - Query parameters
+       * @returns {string} The endpoint URL
+       */
+      getUrl: function(path, params) {
+        const backendUrl = (window.shopChatConfig?.backendUrl || DEFAULT_BACKEND_URL).replace(/\/+$/, '');
+        const query = params ? `?${new URLSearchParams(params)}` : '';
+        return `${backendUrl}${path}${query}`;
+      },
+
       /**
        * Stream a response from the API
        * @param {string} userMessage - User's message text
        * @param {string} conversationId - Conversation ID for context
        * @param {HTMLElement} messagesContainer - The messages container
+       * @param {Array<string>} [images] - Data URLs of photos attached to the message
        */
-      streamResponse: async function(userMessage, conversationId, messagesContainer) {
+      streamResponse: async function(userMessage, conversationId, messagesContainer, images = []) {
         let currentMessageElement = null;
 
+        ShopAIChat.UI.setStreaming(true);
+
         try {
           const promptType = window.shopChatConfig?.promptType || "standardAssistant";
           const requestBody = JSON.stringify({
             message: userMessage,
             conversation_id: conversationId,
-            prompt_type: promptType
+            prompt_type: promptType,
+            ...(images.length > 0 ? { images } : {})
           });
 
-          const streamUrl = 'https://localhost:3458/chat';
+          const streamUrl = this.getUrl('/chat');
           const shopId = window.shopId;
+          const shopDomain = window.shopDomain;
 
           const response = await fetch(streamUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'text/event-stream',
-              'X-Shopify-Shop-Id': shopId
+              'X-Shopify-Shop-Id': shopId,
+              'X-Shopify-Shop-Domain': shopDomain
             },
             body: requestBody
           });
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = '';
-
           // Create initial message element
           let messageElement = document.createElement('div');
           messageElement.classList.add('shop-ai-message', 'assistant');
@@ -506,81 +1026,253 @@
           messagesContainer.appendChild(messageElement);
           currentMessageElement = messageElement;
 
-          // Process the stream
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
+          const handleEvent = (data) => {
+            this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
+              (newElement) => { currentMessageElement = newElement; });
+          };
+          const streamState = { lastEventId: 0 };
 
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n\n');
-            buffer = lines.pop() || '';
+          try {
+            await this.readEventStream(response, streamState, handleEvent);
+          } catch (error) {
+            // The connection dropped mid-turn, so pick up the stream where it left off
+            const resumeConversationId = ShopAIChat.Storage.getConversationId();
+            if (!streamState.lastEventId || !resumeConversationId) throw error;
 
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
-                    (newElement) => { currentMessageElement = newElement; });
-                } catch (e) {
-                  console.error('Error parsing event data:', e, line);
-                }
-              }
-            }
+            console.warn('Chat stream interrupted, resuming:', error);
+            await this.resumeStream(resumeConversationId, streamState, handleEvent);
           }
         } catch (error) {
           console.error('Error in streaming:', error);
           ShopAIChat.UI.removeTypingIndicator();
           ShopAIChat.Message.add("Sorry, I couldn't process your request. Please try again later.",
             'assistant', messagesContainer);
+        } finally {
+          ShopAIChat.UI.setStreaming(false);
         }
       },
 
       /**
-       * Handle stream events from the API
-       * @param {Object} data - Event data
-       * @param {HTMLElement} currentMessageElement - Current message element being updated
-       * @param {HTMLElement} messagesContainer - The messages container
-       * @param {string} userMessage - The original user message
-       * @param {Function} updateCurrentElement - Callback to update the current element reference
+       * Ask the server to stop the response that is currently streaming.
+       * The open stream then finishes with a turn_cancelled event.
        */
-      handleStreamEvent: function(data, currentMessageElement, messagesContainer, userMessage, updateCurrentElement) {
-        switch (data.type) {
-          case 'id':
-            if (data.conversation_id) {
-              sessionStorage.setItem('shopAiConversationId', data.conversation_id);
-            }
-            break;
+      cancelResponse: async function() {
+        const conversationId = ShopAIChat.Storage.getConversationId();
+        if (!conversationId) return;
 
-          case 'chunk':
-            ShopAIChat.UI.removeTypingIndicator();
-            currentMessageElement.dataset.rawText += data.chunk;
-            currentMessageElement.textContent = currentMessageElement.dataset.rawText;
-            ShopAIChat.UI.scrollToBottom();
-            break;
+        ShopAIChat.UI.elements.stopButton.disabled = true;
 
-          case 'message_complete':
-            ShopAIChat.UI.removeTypingIndicator();
-            ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
-            ShopAIChat.UI.scrollToBottom();
-            break;
+        try {
+          const cancelUrl = this.getUrl('/chat', { conversation_id: conversationId });
+          const response = await fetch(cancelUrl, {
+            method: 'DELETE',
+            headers: { 'X-Shopify-Shop-Domain': window.shopDomain }
+          });
 
-          case 'end_turn':
-            ShopAIChat.UI.removeTypingIndicator();
-            break;
+          if (!response.ok) {
+            console.warn('No response to stop:', response.status);
+          }
+        } catch (error) {
+          console.error('Error stopping response:', error);
+        }
+      },
 
-          case 'error':
-            console.error('Stream error:', data.error);
-            ShopAIChat.UI.removeTypingIndicator();
-            currentMessageElement.textContent = "Sorry, I couldn't process your request. Please try again later.";
-            break;
+      /**
+       * Change the quantity of a cart line
+       * @param {string} cartId - The cart ID
+       * @param {string} lineId - The cart line ID
+       * @param {number} quantity - The new quantity, 0 to remove the line
+       * @returns {Promise<Object>} The updated cart
+       */
+      updateCartLine: async function(cartId, lineId, quantity) {
+        const conversationId = (ShopAIChat.Storage.getConversationId() || '');
+        const cartUrl = this.getUrl('/chat', { cart_update: 'true', conversation_id: conversationId });
+
+        const response = await fetch(cartUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Shop-Domain': window.shopDomain
+          },
+          body: JSON.stringify({ cart_id: cartId, line_id: lineId, quantity: quantity })
+        });
+        const data = await response.json();
 
-          case 'rate_limit_exceeded':
-            console.error('Rate limit exceeded:', data.error);
-            ShopAIChat.UI.removeTypingIndicator();
-            currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
-            break;
+        if (!response.ok || !data.cart) {
+          throw new Error(data.error || `Cart update failed (${response.status})`);
+        }
 
-          case 'auth_required':
+        return data.cart;
+      },
+
+      /**
+       * Send the shopper's decision on a tool call waiting for approval.
+       * The open stream then reports the outcome with a tool_confirmation_resolved event.
+       * @param {string} confirmationId - The confirmation ID
+       * @param {boolean} approved - Whether the shopper approved the call
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      sendToolDecision: async function(confirmationId, approved, messagesContainer) {
+        const conversationId = ShopAIChat.Storage.getConversationId();
+        if (!conversationId) return;
+
+        try {
+          const decisionUrl = this.getUrl('/chat', { conversation_id: conversationId, confirmation_id: confirmationId });
+          const response = await fetch(decisionUrl, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-Shopify-Shop-Domain': window.shopDomain
+            },
+            body: JSON.stringify({ approved: approved })
+          });
+
+          if (!response.ok) {
+            console.warn('Tool call is no longer waiting for a decision:', response.status);
+            ShopAIChat.Message.resolveToolConfirmation(confirmationId, 'This request has expired', messagesContainer);
+          }
+        } catch (error) {
+          console.error('Error sending tool decision:', error);
+          ShopAIChat.Message.resolveToolConfirmation(confirmationId, "Sorry, your answer couldn't be sent", messagesContainer);
+        }
+      },
+
+      /**
+       * Read server-sent events from a response until the stream ends
+       * @param {Response} response - Fetch response with an SSE body
+       * @param {Object} streamState - Tracks the last event ID received, for resuming
+       * @param {Function} onEvent - Called with each parsed event
+       */
+      readEventStream: async function(response, streamState, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const events = buffer.split('\n\n');
+          buffer = events.pop() || '';
+
+          for (const event of events) {
+            for (const line of event.split('\n')) {
+              if (line.startsWith('id: ')) {
+                streamState.lastEventId = parseInt(line.slice(4), 10) || streamState.lastEventId;
+              } else if (line.startsWith('data: ')) {
+                try {
+                  onEvent(JSON.parse(line.slice(6)));
+                } catch (e) {
+                  console.error('Error parsing event data:', e, line);
+                }
+              }
+            }
+          }
+        }
+      },
+
+      /**
+       * Resume an interrupted stream, replaying missed events and following the rest of the turn
+       * @param {string} conversationId - Conversation ID
+       * @param {Object} streamState - Tracks the last event ID received
+       * @param {Function} onEvent - Called with each parsed event
+       */
+      resumeStream: async function(conversationId, streamState, onEvent) {
+        const maxAttempts = 3;
+
+        for (let attempt = 1; ; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+
+          const response = await fetch(this.getUrl('/chat', { resume: 'true', conversation_id: conversationId }), {
+            method: 'GET',
+            headers: {
+              'Accept': 'text/event-stream',
+              'Last-Event-ID': String(streamState.lastEventId),
+              'X-Shopify-Shop-Domain': window.shopDomain
+            }
+          });
+
+          if (!response.ok) {
+            throw new Error(`Stream can no longer be resumed (${response.status})`);
+          }
+
+          try {
+            await this.readEventStream(response, streamState, onEvent);
+            return;
+          } catch (error) {
+            if (attempt >= maxAttempts) throw error;
+            console.warn('Resumed chat stream interrupted, retrying:', error);
+          }
+        }
+      },
+
+      /**
+       * Handle stream events from the API
+       * @param {Object} data - Event data
+       * @param {HTMLElement} currentMessageElement - Current message element being updated
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @param {string} userMessage - The original user message
+       * @param {Function} updateCurrentElement - Callback to update the current element reference
+       */
+      handleStreamEvent: function(data, currentMessageElement, messagesContainer, userMessage, updateCurrentElement) {
+        switch (data.type) {
+          case 'id':
+            if (data.conversation_id) {
+              ShopAIChat.Storage.setConversationId(data.conversation_id);
+            }
+            break;
+
+          case 'chunk':
+            ShopAIChat.UI.removeTypingIndicator();
+            currentMessageElement.dataset.rawText += data.chunk;
+            ShopAIChat.Formatting.scheduleFormat(currentMessageElement);
+            ShopAIChat.UI.scrollToBottom();
+            break;
+
+          case 'message_complete':
+            ShopAIChat.UI.removeTypingIndicator();
+            ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+            ShopAIChat.UI.scrollToBottom();
+            break;
+
+          case 'end_turn':
+            ShopAIChat.UI.removeTypingIndicator();
+            break;
+
+          case 'turn_cancelled':
+            ShopAIChat.UI.removeTypingIndicator();
+            if (currentMessageElement.dataset.rawText) {
+              ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+              currentMessageElement.classList.add('cancelled');
+            } else {
+              currentMessageElement.remove();
+            }
+            break;
+
+          case 'error':
+            console.error('Stream error:', data.error);
+            ShopAIChat.UI.removeTypingIndicator();
+            currentMessageElement.textContent = "Sorry, I couldn't process your request. Please try again later.";
+            break;
+
+          case 'rate_limit_exceeded':
+            console.error('Rate limit exceeded:', data.error);
+            ShopAIChat.UI.removeTypingIndicator();
+            currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
+            break;
+
+          case 'limit_exceeded':
+            console.warn('Chat limit exceeded:', data.limit, data.error);
+            ShopAIChat.UI.removeTypingIndicator();
+            if (currentMessageElement.dataset.rawText) {
+              ShopAIChat.Message.add(this.getLimitMessage(data), 'assistant', messagesContainer);
+            } else {
+              currentMessageElement.textContent = this.getLimitMessage(data);
+            }
+            break;
+
+          case 'auth_required':
             // Save the last user message for resuming after authentication
             sessionStorage.setItem('shopAiLastMessage', userMessage || '');
             break;
@@ -589,12 +1281,44 @@
             ShopAIChat.UI.displayProductResults(data.products);
             break;
 
+          case 'cart_update':
+            if (data.cart) {
+              ShopAIChat.Cart.display(data.cart);
+            }
+            break;
+
+          case 'order_status':
+            if (data.order) {
+              ShopAIChat.Order.display(data.order);
+            }
+            break;
+
+          case 'tool_media':
+            if (Array.isArray(data.media)) {
+              ShopAIChat.UI.displayToolMedia(data.media);
+            }
+            break;
+
           case 'tool_use':
             if (data.tool_use_message) {
               ShopAIChat.Message.addToolUse(data.tool_use_message, messagesContainer);
             }
             break;
 
+          case 'tool_confirmation_required':
+            ShopAIChat.UI.removeTypingIndicator();
+            ShopAIChat.Message.addToolConfirmation(data, messagesContainer);
+            break;
+
+          case 'tool_confirmation_resolved':
+            ShopAIChat.Message.resolveToolConfirmation(
+              data.confirmation_id,
+              data.approved ? 'Approved' : 'Declined',
+              messagesContainer
+            );
+            ShopAIChat.UI.showTypingIndicator();
+            break;
+
           case 'new_message':
             ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
             ShopAIChat.UI.showTypingIndicator();
@@ -616,6 +1340,51 @@
         }
       },
 
+      /**
+       * Get a shopper-facing message for a limit_exceeded event
+       * @param {Object} data - Event data with limit, error and retry_after
+       * @returns {string} Message to display
+       */
+      getLimitMessage: function(data) {
+        switch (data.limit) {
+          case 'ip_rate':
+          case 'conversation_rate':
+            return data.retry_after
+              ? `You're sending messages a little too quickly. Please try again in ${data.retry_after} seconds.`
+              : "You're sending messages a little too quickly. Please wait a moment and try again.";
+          case 'daily_token_cap':
+            return "Our assistant has reached its limit for today. Please try again tomorrow.";
+          default:
+            return data.error || "Sorry, I couldn't process your request. Please try again later.";
+        }
+      },
+
+      /**
+       * Fetch the logged-in customer's past conversations
+       * @returns {Promise<Array>} Conversations with id, updated_at and preview, empty for anonymous shoppers
+       */
+      fetchConversations: async function() {
+        try {
+          const response = await fetch(this.getUrl('/chat', { conversations: 'true' }), {
+            method: 'GET',
+            headers: {
+              'Accept': 'application/json',
+              'X-Shopify-Shop-Domain': window.shopDomain
+            }
+          });
+
+          if (!response.ok) {
+            throw new Error('Failed to fetch conversations: ' + response.status);
+          }
+
+          const data = await response.json();
+          return data.conversations || [];
+        } catch (error) {
+          console.error('Error fetching conversations:', error);
+          return [];
+        }
+      },
+
       /**
        * Fetch chat history from the server
        * @param {string} conversationId - Conversation ID
@@ -630,14 +1399,15 @@
           messagesContainer.appendChild(loadingMessage);
 
           // Fetch history from the server
-          const historyUrl = `https://localhost:3458/chat?history=true&conversation_id=${encodeURIComponent(conversationId)}`;
+          const historyUrl = this.getUrl('/chat', { history: 'true', conversation_id: conversationId });
           console.log('Fetching history from:', historyUrl);
 
           const response = await fetch(historyUrl, {
             method: 'GET',
             headers: {
               'Accept': 'application/json',
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              'X-Shopify-Shop-Domain': window.shopDomain
             },
             mode: 'cors'
           });
@@ -665,9 +1435,20 @@
               const messageContents = JSON.parse(message.content);
               for (const contentBlock of messageContents) {
                 if (contentBlock.type === 'text') {
-                  ShopAIChat.Message.add(contentBlock.text, message.role, messagesContainer);
+                  const messageElement = ShopAIChat.Message.add(contentBlock.text, message.role, messagesContainer);
+                  if (message.cancelled) {
+                    messageElement.classList.add('cancelled');
+                  }
                 }
               }
+
+              // Show the photos the shopper attached, which are served by the backend
+              const imageUrls = messageContents
+                .filter(contentBlock => contentBlock.type === 'image')
+                .map(contentBlock => this.getUrl('/chat', { image: contentBlock.image_id, conversation_id: conversationId }));
+              if (imageUrls.length > 0) {
+                ShopAIChat.Message.addImages(imageUrls, message.role, messagesContainer);
+              }
             } catch (e) {
               ShopAIChat.Message.add(message.content, message.role, messagesContainer);
             }
@@ -690,7 +1471,7 @@
           ShopAIChat.Message.add(welcomeMessage, 'assistant', messagesContainer);
 
           // Clear the conversation ID since we couldn't fetch this conversation
-          sessionStorage.removeItem('shopAiConversationId');
+          ShopAIChat.Storage.clearConversationId();
         }
       }
     },
@@ -738,7 +1519,7 @@
         }
 
         // Start polling for token availability
-        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        const conversationId = ShopAIChat.Storage.getConversationId();
         if (conversationId) {
           const messagesContainer = document.querySelector('.shop-ai-chat-messages');
 
@@ -779,8 +1560,7 @@
           attemptCount++;
 
           try {
-            const tokenUrl = 'https://localhost:3458/auth/token-status?conversation_id=' +
-              encodeURIComponent(conversationId);
+            const tokenUrl = ShopAIChat.API.getUrl('/auth/token-status', { conversation_id: conversationId });
             const response = await fetch(tokenUrl);
 
             if (!response.ok) {
@@ -804,6 +1584,9 @@
               }
 
               sessionStorage.removeItem('shopAiTokenPollingId');
+
+              // The conversation is now linked to the customer, who may have older ones
+              ShopAIChat.Conversations.load();
               return;
             }
 
@@ -901,6 +1684,629 @@
       }
     },
 
+    /**
+     * Cart card functionality
+     */
+    Cart: {
+      /**
+       * Show the cart, replacing the card of an earlier version of the same cart
+       * @param {Object} cart - Cart data with id, lines, subtotal and checkout_url
+       */
+      display: function(cart) {
+        const { messagesContainer } = ShopAIChat.UI.elements;
+
+        const existingCard = messagesContainer.querySelector(`.shop-ai-cart[data-cart-id="${CSS.escape(cart.id)}"]`);
+        if (existingCard) {
+          existingCard.remove();
+        }
+
+        messagesContainer.appendChild(this.createCard(cart));
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Create the cart card element
+       * @param {Object} cart - Cart data
+       * @returns {HTMLElement} The cart card
+       */
+      createCard: function(cart) {
+        const card = document.createElement('div');
+        card.classList.add('shop-ai-cart');
+        card.dataset.cartId = cart.id;
+
+        const header = document.createElement('div');
+        header.classList.add('shop-ai-cart-header');
+        header.textContent = cart.total_quantity === 1 ? 'Your cart (1 item)' : `Your cart (${cart.total_quantity} items)`;
+        card.appendChild(header);
+
+        if (cart.lines.length === 0) {
+          const emptyMessage = document.createElement('p');
+          emptyMessage.classList.add('shop-ai-cart-empty');
+          emptyMessage.textContent = 'Your cart is empty';
+          card.appendChild(emptyMessage);
+          return card;
+        }
+
+        const linesContainer = document.createElement('ul');
+        linesContainer.classList.add('shop-ai-cart-lines');
+        cart.lines.forEach(line => {
+          linesContainer.appendChild(this.createLine(cart, line, card));
+        });
+        card.appendChild(linesContainer);
+
+        const footer = document.createElement('div');
+        footer.classList.add('shop-ai-cart-footer');
+
+        if (cart.subtotal) {
+          const subtotal = document.createElement('div');
+          subtotal.classList.add('shop-ai-cart-subtotal');
+          subtotal.textContent = `Subtotal: ${cart.subtotal}`;
+          footer.appendChild(subtotal);
+        }
+
+        const error = document.createElement('p');
+        error.classList.add('shop-ai-cart-error');
+        error.hidden = true;
+        footer.appendChild(error);
+
+        if (cart.checkout_url) {
+          const checkoutLink = document.createElement('a');
+          checkoutLink.classList.add('shop-ai-cart-checkout');
+          checkoutLink.href = cart.checkout_url;
+          checkoutLink.textContent = 'Checkout';
+          footer.appendChild(checkoutLink);
+        }
+
+        card.appendChild(footer);
+        return card;
+      },
+
+      /**
+       * Create a cart line with a quantity stepper
+       * @param {Object} cart - Cart data
+       * @param {Object} line - Line data with id, title, variant_title, quantity, price and image_url
+       * @param {HTMLElement} card - The cart card, disabled while an update is in flight
+       * @returns {HTMLElement} The line element
+       */
+      createLine: function(cart, line, card) {
+        const lineElement = document.createElement('li');
+        lineElement.classList.add('shop-ai-cart-line');
+
+        if (line.image_url) {
+          const image = document.createElement('img');
+          image.src = line.image_url;
+          image.alt = line.title;
+          lineElement.appendChild(image);
+        }
+
+        const details = document.createElement('div');
+        details.classList.add('shop-ai-cart-line-details');
+
+        const title = document.createElement('div');
+        title.classList.add('shop-ai-cart-line-title');
+        title.textContent = line.title;
+        details.appendChild(title);
+
+        if (line.variant_title) {
+          const variant = document.createElement('div');
+          variant.classList.add('shop-ai-cart-line-variant');
+          variant.textContent = line.variant_title;
+          details.appendChild(variant);
+        }
+
+        if (line.price) {
+          const price = document.createElement('div');
+          price.classList.add('shop-ai-cart-line-price');
+          price.textContent = line.price;
+          details.appendChild(price);
+        }
+
+        lineElement.appendChild(details);
+
+        const stepper = document.createElement('div');
+        stepper.classList.add('shop-ai-cart-stepper');
+
+        const decrease = document.createElement('button');
+        decrease.type = 'button';
+        decrease.textContent = '−';
+        decrease.setAttribute('aria-label', `Decrease quantity of ${line.title}`);
+
+        const quantity = document.createElement('span');
+        quantity.textContent = String(line.quantity);
+
+        const increase = document.createElement('button');
+        increase.type = 'button';
+        increase.textContent = '+';
+        increase.setAttribute('aria-label', `Increase quantity of ${line.title}`);
+
+        decrease.addEventListener('click', () => this.updateLine(cart, line, line.quantity - 1, card));
+        increase.addEventListener('click', () => this.updateLine(cart, line, line.quantity + 1, card));
+
+        stepper.appendChild(decrease);
+        stepper.appendChild(quantity);
+        stepper.appendChild(increase);
+        lineElement.appendChild(stepper);
+
+        return lineElement;
+      },
+
+      /**
+       * Change a line's quantity and show the updated cart; a quantity of 0 removes the line
+       * @param {Object} cart - Cart data
+       * @param {Object} line - The line to change
+       * @param {number} quantity - The new quantity
+       * @param {HTMLElement} card - The cart card
+       */
+      updateLine: async function(cart, line, quantity, card) {
+        card.querySelectorAll('.shop-ai-cart-stepper button').forEach(button => {
+          button.disabled = true;
+        });
+
+        try {
+          const updatedCart = await ShopAIChat.API.updateCartLine(cart.id, line.id, quantity);
+          this.display(updatedCart);
+        } catch (error) {
+          console.error('Error updating cart:', error);
+          card.querySelectorAll('.shop-ai-cart-stepper button').forEach(button => {
+            button.disabled = false;
+          });
+
+          const errorElement = card.querySelector('.shop-ai-cart-error');
+          if (errorElement) {
+            errorElement.textContent = "Sorry, your cart couldn't be updated. Please try again.";
+            errorElement.hidden = false;
+          }
+        }
+      }
+    },
+
+    /**
+     * Order status card functionality
+     */
+    Order: {
+      /**
+       * Show an order status card
+       * @param {Object} order - Order data with name, status, timeline, tracking and line_items
+       */
+      display: function(order) {
+        const { messagesContainer } = ShopAIChat.UI.elements;
+        messagesContainer.appendChild(this.createCard(order));
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Create the order status card element
+       * @param {Object} order - Order data
+       * @returns {HTMLElement} The order card
+       */
+      createCard: function(order) {
+        const card = document.createElement('div');
+        card.classList.add('shop-ai-order');
+
+        const header = document.createElement('div');
+        header.classList.add('shop-ai-order-header');
+
+        const name = document.createElement('span');
+        name.classList.add('shop-ai-order-name');
+        name.textContent = order.name ? `Order ${order.name}` : 'Your order';
+        header.appendChild(name);
+
+        const status = document.createElement('span');
+        status.classList.add('shop-ai-order-status');
+        status.textContent = order.cancelled ? 'Cancelled' : this.formatStatus(order.status);
+        header.appendChild(status);
+        card.appendChild(header);
+
+        if (!order.cancelled) {
+          card.appendChild(this.createTimeline(order.timeline || []));
+        }
+
+        (order.tracking || []).forEach(tracking => {
+          const trackingElement = document.createElement(tracking.url ? 'a' : 'div');
+          trackingElement.classList.add('shop-ai-order-tracking');
+          trackingElement.textContent = `Track package${tracking.company ? ` with ${tracking.company}` : ''}${tracking.number ? ` (${tracking.number})` : ''}`;
+          if (tracking.url) {
+            trackingElement.href = tracking.url;
+            trackingElement.target = '_blank';
+            trackingElement.rel = 'noopener noreferrer';
+          }
+          card.appendChild(trackingElement);
+        });
+
+        if (order.line_items && order.line_items.length > 0) {
+          const items = document.createElement('ul');
+          items.classList.add('shop-ai-order-items');
+
+          order.line_items.forEach(item => {
+            const itemElement = document.createElement('li');
+
+            if (item.image_url) {
+              const image = document.createElement('img');
+              image.src = item.image_url;
+              image.alt = item.title;
+              itemElement.appendChild(image);
+            }
+
+            const title = document.createElement('span');
+            title.textContent = `${item.quantity} × ${item.title}${item.variant_title ? ` (${item.variant_title})` : ''}`;
+            itemElement.appendChild(title);
+
+            items.appendChild(itemElement);
+          });
+
+          card.appendChild(items);
+        }
+
+        if (order.total) {
+          const total = document.createElement('div');
+          total.classList.add('shop-ai-order-total');
+          total.textContent = `Total: ${order.total}`;
+          card.appendChild(total);
+        }
+
+        const actions = document.createElement('div');
+        actions.classList.add('shop-ai-order-actions');
+
+        if (order.status_url) {
+          const statusLink = document.createElement('a');
+          statusLink.href = order.status_url;
+          statusLink.target = '_blank';
+          statusLink.rel = 'noopener noreferrer';
+          statusLink.textContent = 'View order';
+          actions.appendChild(statusLink);
+        }
+
+        if (order.returnable) {
+          const returnButton = document.createElement('button');
+          returnButton.type = 'button';
+          returnButton.classList.add('shop-ai-order-return');
+          returnButton.textContent = 'Start a return';
+
+          // Ask the assistant, which walks the customer through the return with its tools
+          returnButton.addEventListener('click', function() {
+            const input = document.querySelector('.shop-ai-chat-input input');
+            if (input) {
+              input.value = `I'd like to start a return for order ${order.name || order.id}`;
+              const sendButton = document.querySelector('.shop-ai-chat-send');
+              if (sendButton) {
+                sendButton.click();
+              }
+            }
+          });
+
+          actions.appendChild(returnButton);
+        }
+
+        if (actions.childElementCount > 0) {
+          card.appendChild(actions);
+        }
+
+        return card;
+      },
+
+      /**
+       * Create the fulfillment timeline
+       * @param {Array} timeline - Steps with label, date and done
+       * @returns {HTMLElement} The timeline element
+       */
+      createTimeline: function(timeline) {
+        const timelineElement = document.createElement('ol');
+        timelineElement.classList.add('shop-ai-order-timeline');
+
+        timeline.forEach(step => {
+          const stepElement = document.createElement('li');
+          stepElement.classList.toggle('done', Boolean(step.done));
+
+          const label = document.createElement('span');
+          label.textContent = step.label;
+          stepElement.appendChild(label);
+
+          if (step.date) {
+            const date = document.createElement('span');
+            date.classList.add('shop-ai-order-date');
+            date.textContent = new Date(step.date).toLocaleDateString();
+            stepElement.appendChild(date);
+          }
+
+          timelineElement.appendChild(stepElement);
+        });
+
+        return timelineElement;
+      },
+
+      /**
+       * Turn a status such as PARTIALLY_FULFILLED into readable text
+       * @param {string} status - The order status
+       * @returns {string} The readable status
+       */
+      formatStatus: function(status) {
+        if (!status) return '';
+        const text = status.replace(/_/g, ' ').toLowerCase();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+      }
+    },
+
+    /**
+     * Photos attached to the message being written
+     */
+    Attachments: {
+      // Data URLs of the attached photos
+      pending: [],
+
+      /**
+       * Attach image files, up to the per-message limit
+       * @param {Array<File>} files - The files to attach
+       */
+      addFiles: async function(files) {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        const room = MAX_IMAGES_PER_MESSAGE - this.pending.length;
+
+        if (images.length > room) {
+          alert(`You can attach up to ${MAX_IMAGES_PER_MESSAGE} photos to a message.`);
+        }
+
+        for (const file of images.slice(0, Math.max(room, 0))) {
+          try {
+            this.pending.push(await this.prepareImage(file));
+          } catch (error) {
+            console.error('Error reading attached image:', error);
+          }
+        }
+
+        this.render();
+      },
+
+      /**
+       * Scale a photo down and re-encode it as JPEG, which keeps uploads small
+       * and drops metadata such as the location the photo was taken
+       * @param {File} file - The image file
+       * @returns {Promise<string>} The image as a data URL
+       */
+      prepareImage: async function(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency, so transparent areas become white instead of black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        return canvas.toDataURL('image/jpeg', 0.85);
+      },
+
+      /**
+       * Show thumbnails of the attached photos, each with a button to remove it
+       */
+      render: function() {
+        const { attachmentsContainer } = ShopAIChat.UI.elements;
+        attachmentsContainer.replaceChildren();
+        attachmentsContainer.hidden = this.pending.length === 0;
+
+        this.pending.forEach((dataUrl, index) => {
+          const thumbnail = document.createElement('div');
+          thumbnail.classList.add('shop-ai-attachment');
+
+          const image = document.createElement('img');
+          image.src = dataUrl;
+          image.alt = 'Attached photo';
+          thumbnail.appendChild(image);
+
+          const removeButton = document.createElement('button');
+          removeButton.classList.add('shop-ai-attachment-remove');
+          removeButton.setAttribute('aria-label', 'Remove photo');
+          removeButton.textContent = '✕';
+          removeButton.addEventListener('click', () => {
+            this.pending.splice(index, 1);
+            this.render();
+          });
+          thumbnail.appendChild(removeButton);
+
+          attachmentsContainer.appendChild(thumbnail);
+        });
+      },
+
+      /**
+       * Take the attached photos for sending, clearing the attachments
+       * @returns {Array<string>} Data URLs of the photos
+       */
+      take: function() {
+        const images = this.pending;
+        this.pending = [];
+        this.render();
+        return images;
+      }
+    },
+
+    /**
+     * Durable storage for the open conversation, shared by the shop's tabs
+     */
+    Storage: {
+      conversationKey: 'shopAiConversation',
+
+      /**
+       * Get the storage that outlives the tab, or the tab's own storage when the browser blocks it
+       * @returns {Storage} The storage to use
+       */
+      getStore: function() {
+        try {
+          localStorage.setItem('shopAiStorageTest', '1');
+          localStorage.removeItem('shopAiStorageTest');
+          return localStorage;
+        } catch (error) {
+          return sessionStorage;
+        }
+      },
+
+      /**
+       * Parse a stored conversation entry
+       * @param {string|null} value - The stored value
+       * @returns {Object|null} The entry with id and expiresAt, or null when missing or unreadable
+       */
+      parseEntry: function(value) {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return null;
+        }
+      },
+
+      /**
+       * Get the open conversation's ID, forgetting it once it has expired
+       * @returns {string|null} The conversation ID
+       */
+      getConversationId: function() {
+        const entry = this.parseEntry(this.getStore().getItem(this.conversationKey));
+
+        if (!entry) {
+          // Adopt a conversation kept in the tab's storage by earlier versions of the widget
+          const legacyId = sessionStorage.getItem('shopAiConversationId');
+          if (!legacyId) return null;
+
+          sessionStorage.removeItem('shopAiConversationId');
+          this.setConversationId(legacyId);
+          return legacyId;
+        }
+
+        if (!entry.id || entry.expiresAt < Date.now()) {
+          this.clearConversationId();
+          return null;
+        }
+
+        return entry.id;
+      },
+
+      /**
+       * Remember the open conversation, extending its expiry
+       * @param {string} conversationId - The conversation ID
+       */
+      setConversationId: function(conversationId) {
+        this.getStore().setItem(this.conversationKey, JSON.stringify({
+          id: conversationId,
+          expiresAt: Date.now() + CONVERSATION_TTL_MS
+        }));
+      },
+
+      /**
+       * Forget the open conversation
+       */
+      clearConversationId: function() {
+        this.getStore().removeItem(this.conversationKey);
+      }
+    },
+
+    /**
+     * A logged-in customer's past conversations
+     */
+    Conversations: {
+      items: [],
+
+      /**
+       * Fetch the customer's conversations, showing the header button when there are any
+       */
+      load: async function() {
+        this.items = await ShopAIChat.API.fetchConversations();
+        ShopAIChat.UI.elements.historyButton.hidden = this.items.length === 0;
+      },
+
+      /**
+       * Show or hide the list of past conversations, refreshing it before it is shown
+       */
+      togglePanel: async function() {
+        const { chatWindow, messagesContainer } = ShopAIChat.UI.elements;
+        const panel = chatWindow.querySelector('.shop-ai-conversation-list');
+
+        if (panel) {
+          panel.remove();
+          return;
+        }
+
+        await this.load();
+        if (!chatWindow.querySelector('.shop-ai-conversation-list')) {
+          chatWindow.insertBefore(this.createPanel(), messagesContainer);
+        }
+      },
+
+      /**
+       * Create the list of past conversations
+       * @returns {HTMLElement} The list element
+       */
+      createPanel: function() {
+        const panel = document.createElement('div');
+        panel.classList.add('shop-ai-conversation-list');
+
+        const openAndClose = (conversationId) => {
+          panel.remove();
+          this.open(conversationId);
+        };
+
+        const newButton = document.createElement('button');
+        newButton.classList.add('shop-ai-conversation-new');
+        newButton.textContent = 'New conversation';
+        newButton.addEventListener('click', () => openAndClose(null));
+        panel.appendChild(newButton);
+
+        const currentId = ShopAIChat.Storage.getConversationId();
+        this.items.forEach(conversation => {
+          const item = document.createElement('button');
+          item.classList.add('shop-ai-conversation-item');
+          if (conversation.id === currentId) {
+            item.classList.add('active');
+          }
+
+          const preview = document.createElement('span');
+          preview.classList.add('shop-ai-conversation-preview');
+          preview.textContent = conversation.preview || 'Conversation';
+          item.appendChild(preview);
+
+          const date = document.createElement('span');
+          date.classList.add('shop-ai-conversation-date');
+          date.textContent = new Date(conversation.updated_at).toLocaleDateString();
+          item.appendChild(date);
+
+          item.addEventListener('click', () => openAndClose(conversation.id));
+          panel.appendChild(item);
+        });
+
+        return panel;
+      },
+
+      /**
+       * Show a conversation in place of the current one
+       * @param {string|null} conversationId - The conversation to show, or null to start a new one
+       * @param {Object} [options] - Options
+       * @param {boolean} [options.persist=true] - Whether to remember it as the open conversation
+       */
+      open: function(conversationId, { persist = true } = {}) {
+        const { messagesContainer, stopButton } = ShopAIChat.UI.elements;
+
+        // Leave the streaming response in place; it belongs to the current conversation
+        if (!stopButton.hidden) return;
+
+        if (persist) {
+          if (conversationId) {
+            ShopAIChat.Storage.setConversationId(conversationId);
+          } else {
+            ShopAIChat.Storage.clearConversationId();
+          }
+        }
+
+        messagesContainer.replaceChildren();
+
+        if (conversationId) {
+          ShopAIChat.API.fetchChatHistory(conversationId, messagesContainer);
+        } else {
+          const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
+          ShopAIChat.Message.add(welcomeMessage, 'assistant', messagesContainer);
+        }
+      }
+    },
+
     /**
      * Initialize the chat application
      */
@@ -912,7 +2318,7 @@
       this.UI.init(container);
 
       // Check for existing conversation
-      const conversationId = sessionStorage.getItem('shopAiConversationId');
+      const conversationId = ShopAIChat.Storage.getConversationId();
 
       if (conversationId) {
         // Fetch conversation history
@@ -922,6 +2328,9 @@
         const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
         this.Message.add(welcomeMessage, 'assistant', this.UI.elements.messagesContainer);
       }
+
+      // Offer a logged-in customer their past conversations
+      this.Conversations.load();
     }
   };
 
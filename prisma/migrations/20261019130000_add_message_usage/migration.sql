@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "shop" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "model" TEXT;
+ALTER TABLE "Message" ADD COLUMN "inputTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "outputTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "cost" REAL;
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_idx" ON "Conversation"("shop");
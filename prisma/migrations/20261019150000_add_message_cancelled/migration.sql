@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "cancelled" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ToolPolicy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "toolName" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "requiresConfirmation" BOOLEAN NOT NULL DEFAULT false,
+    "descriptionOverride" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ToolPolicy_shop_idx" ON "ToolPolicy"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ToolPolicy_shop_toolName_key" ON "ToolPolicy"("shop", "toolName");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "customerId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_customerId_idx" ON "Conversation"("shop", "customerId");